@@ -0,0 +1,215 @@
+/**
+ * Vault Secret Search - Hygiene Audit
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Rule checks for audit mode, which walks like a search but checks every secret
+ *              it can read instead of matching a term. Findings name the key and the rule,
+ *              never the value, so reports can be shared:
+ *
+ *   { rule: 'weak-password', severity: 'high', score: 90, jsonPath: 'db.password', message: 'Common password' }
+ *
+ * Rules: placeholder, weak-password, low-entropy, certificate-expired, certificate-expiring, stale.
+ * The CSV report uses csvCell() from export.js.
+ */
+
+const DEFAULT_ROTATION_DAYS = 90; // KV2 secrets not updated for longer are stale
+const DEFAULT_MIN_PASSWORD_LENGTH = 12;
+const DEFAULT_CERT_EXPIRY_DAYS = 30; // Certificates expiring sooner are flagged
+const MIN_ENTROPY_BITS = 40; // Estimated from character frequencies, for secret-looking keys
+const AUDIT_ALL_SECRETS = 'path:*'; // Scope of an audit started without a query
+const AUDIT_SEVERITY_SCORES = { high: 90, medium: 60, low: 30 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PASSWORD_KEY = /pass(word|wd|phrase)?$|pwd$/i;
+const SECRET_KEY = /pass|pwd|secret|token|api[-_]?key|private[-_]?key|credential/i;
+const PLACEHOLDER_VALUE = /^(change[-_ ]?me|change[-_ ]?this|replace[-_ ]?me|set[-_ ]?me|placeholder|dummy|example|sample|x{3,}|\*{3,}|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\})$|^(todo|tbd|fixme)\b/i;
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword', '123456', '12345678',
+  '123456789', '1234567890', 'qwerty', 'qwerty123', 'letmein', 'welcome', 'welcome1', 'admin',
+  'admin123', 'root', 'toor', 'secret', 'default', 'abc123', 'iloveyou', 'monkey', 'dragon'
+]);
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/g;
+
+// Rule thresholds from the popup, with defaults for anything missing or invalid
+function normalizeAuditSettings(raw = {}) {
+  const positive = (value, fallback) => (parseInt(value, 10) > 0 ? parseInt(value, 10) : fallback);
+  return {
+    rotationDays: positive(raw.rotationDays, DEFAULT_ROTATION_DAYS),
+    minPasswordLength: positive(raw.minPasswordLength, DEFAULT_MIN_PASSWORD_LENGTH),
+    certExpiryDays: positive(raw.certExpiryDays, DEFAULT_CERT_EXPIRY_DAYS)
+  };
+}
+
+// Findings for one secret: its data as read and its KV2 metadata (null for KV1), best first
+function auditSecret({ data, metadata }, settings, now = Date.now()) {
+  const findings = [];
+  const add = (rule, severity, jsonPath, message) =>
+    findings.push({ rule, severity, score: AUDIT_SEVERITY_SCORES[severity], jsonPath, message });
+
+  for (const { jsonPath, value } of auditLeaves(data)) {
+    if (typeof value !== 'string') continue;
+    const key = jsonPath.split('.').pop();
+    const text = value.trim();
+
+    if (PLACEHOLDER_VALUE.test(text)) {
+      add('placeholder', 'high', jsonPath, 'Placeholder value');
+      continue;
+    }
+    if (text.includes('-----BEGIN CERTIFICATE-----')) {
+      for (const notAfter of certificateExpiries(text)) {
+        const days = Math.floor((notAfter - now) / DAY_MS);
+        if (notAfter <= now) add('certificate-expired', 'high', jsonPath, `Certificate expired ${new Date(notAfter).toISOString().slice(0, 10)}`);
+        else if (days < settings.certExpiryDays) add('certificate-expiring', 'medium', jsonPath, `Certificate expires in ${days} day(s)`);
+      }
+      continue;
+    }
+
+    let weak = false;
+    if (PASSWORD_KEY.test(key)) {
+      if (COMMON_PASSWORDS.has(text.toLowerCase())) {
+        add('weak-password', 'high', jsonPath, 'Common password');
+        weak = true;
+      } else if (text.length < settings.minPasswordLength) {
+        add('weak-password', 'medium', jsonPath, `Password has ${text.length} characters, fewer than ${settings.minPasswordLength}`);
+        weak = true;
+      }
+    }
+    if (!weak && SECRET_KEY.test(key) && !text.includes('-----BEGIN')) {
+      const bits = Math.round(entropyBits(text));
+      if (bits < MIN_ENTROPY_BITS) add('low-entropy', 'medium', jsonPath, `About ${bits} bits of entropy, under ${MIN_ENTROPY_BITS}`);
+    }
+  }
+
+  const updated = Date.parse(metadata?.updated_time);
+  if (updated && now - updated > settings.rotationDays * DAY_MS) {
+    add('stale', 'low', '', `Not updated for ${Math.floor((now - updated) / DAY_MS)} days (rotation window ${settings.rotationDays})`);
+  }
+  return findings.sort((a, b) => b.score - a.score);
+}
+
+// Leaf values with dotted JSON paths, e.g. { jsonPath: 'db.hosts[0]', value }
+function auditLeaves(data, prefix = '', leaves = []) {
+  if (data && typeof data === 'object') {
+    for (const [key, value] of Object.entries(data)) {
+      const jsonPath = Array.isArray(data) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+      auditLeaves(value, jsonPath, leaves);
+    }
+  } else {
+    leaves.push({ jsonPath: prefix, value: data });
+  }
+  return leaves;
+}
+
+// Shannon entropy of the characters times the length: a rough upper bound on guessing effort
+function entropyBits(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let perChar = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    perChar -= p * Math.log2(p);
+  }
+  return perChar * text.length;
+}
+
+// notAfter (ms) of every readable certificate in PEM text
+function certificateExpiries(text) {
+  const expiries = [];
+  for (const [, body] of text.matchAll(PEM_CERTIFICATE)) {
+    try {
+      const der = Uint8Array.from(atob(body.replace(/\s+/g, '')), c => c.charCodeAt(0));
+      const notAfter = certificateNotAfter(der);
+      if (notAfter) expiries.push(notAfter);
+    } catch (e) {
+      // Not base64; not a certificate we can read
+    }
+  }
+  return expiries;
+}
+
+// Certificate > tbsCertificate > [0] version (optional), serial, signature, issuer, validity >
+// notBefore, notAfter. Throws on truncated DER.
+function certificateNotAfter(der) {
+  const read = (offset) => {
+    if (offset + 2 > der.length) throw new Error('Truncated DER');
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+      const bytes = length & 0x7f;
+      length = 0;
+      for (let i = 0; i < bytes; i++) length = length * 256 + der[start + i];
+      start += bytes;
+    }
+    if (start + length > der.length) throw new Error('Truncated DER');
+    return { tag: der[offset], start, end: start + length };
+  };
+
+  const tbs = read(read(0).start);
+  let field = read(tbs.start);
+  if (field.tag === 0xa0) field = read(field.end);
+  for (let i = 0; i < 3; i++) field = read(field.end);
+  const notAfter = read(read(field.start).end);
+  return asn1Time(notAfter.tag, String.fromCharCode(...der.subarray(notAfter.start, notAfter.end)));
+}
+
+// UTCTime (YYMMDDHHMM[SS]Z) or GeneralizedTime (YYYYMMDDHHMM[SS]Z) in ms, null otherwise
+function asn1Time(tag, text) {
+  let year;
+  let rest;
+  if (tag === 0x17) {
+    year = Number(text.slice(0, 2));
+    year += year < 50 ? 2000 : 1900;
+    rest = text.slice(2);
+  } else if (tag === 0x18) {
+    year = Number(text.slice(0, 4));
+    rest = text.slice(4);
+  } else {
+    return null;
+  }
+  const m = rest.match(/^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)?/);
+  return m ? Date.UTC(year, m[1] - 1, m[2], m[3], m[4], m[5] || 0) : null;
+}
+
+// Audit results grouped by mount, for export:
+//   { generatedAt, vaultUrl, namespace, scope, settings, totals: { secrets, findings, high, medium, low },
+//     mounts: [{ mount, secrets: [{ path, url, updatedTime, findings }] }] }
+function buildAuditReport(results, { vaultUrl, namespace, scope, settings }) {
+  const totals = { secrets: 0, findings: 0, high: 0, medium: 0, low: 0 };
+  const mounts = new Map();
+  for (const result of [...results].sort((a, b) => a.path.localeCompare(b.path))) {
+    if (!result.findings?.length) continue;
+    const mount = result.path.slice(0, result.path.length - result.secretPath.length);
+    if (!mounts.has(mount)) mounts.set(mount, []);
+    mounts.get(mount).push({
+      path: result.path,
+      url: result.url,
+      updatedTime: result.metadata?.updated_time || null,
+      findings: result.findings.map(({ rule, severity, jsonPath, message }) => ({ rule, severity, jsonPath, message }))
+    });
+    totals.secrets++;
+    for (const { severity } of result.findings) {
+      totals.findings++;
+      totals[severity]++;
+    }
+  }
+  return {
+    generatedAt: new Date().toISOString(),
+    vaultUrl,
+    namespace: namespace || '',
+    scope,
+    settings,
+    totals,
+    mounts: [...mounts].map(([mount, secrets]) => ({ mount, secrets }))
+  };
+}
+
+// One row per finding
+function auditReportCsv(report) {
+  const rows = [['mount', 'path', 'key', 'rule', 'severity', 'message', 'updated_time', 'url']];
+  for (const { mount, secrets } of report.mounts) {
+    for (const { path, url, updatedTime, findings } of secrets) {
+      findings.forEach(f => rows.push([mount, path, f.jsonPath, f.rule, f.severity, f.message, updatedTime, url]));
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
@@ -5,6 +5,8 @@
  * Description: Background service worker for managing search operations
  */
 
+importScripts('matching.js', 'engines.js', 'query.js', 'results.js', 'capabilities.js', 'scheduler.js', 'path-index.js', 'saved-searches.js', 'audit.js');
+
 // In-memory storage for sensitive data (session-based)
 let authState = {
   vaultUrl: null,
@@ -17,13 +19,26 @@ let authState = {
 
 // Active searches
 let activeSearches = new Map();
+const runningWatches = new Set(); // Names of watched saved searches being run
+let indexRebuild = null; // { indexKey, abortController } while the path index is rebuilt; one at a time
 
 // Constants
 const TOKEN_EXPIRY_TIME = 12 * 60 * 60 * 1000; // 12 hours
 const ACTIVITY_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const DEFAULT_SEARCH_CONCURRENCY = 24; // Parallel Vault requests per search
+const MAX_SEARCH_CONCURRENCY = 64;
+const MAX_SEARCH_DEPTH = 10; // Folder levels below a mount
+const SEARCH_RETENTION = 5 * 60 * 1000; // Keep finished searches for 5 minutes
+const SEARCH_CHECKPOINT_INTERVAL = 2000; // Save running searches every 2 seconds
+const SEARCH_STORAGE_PREFIX = 'search:'; // chrome.storage.session key per search
+const KEEP_ALIVE_INTERVAL = 20 * 1000; // Below the 30s service worker idle timeout
+const RESUME_ALARM = 'vault-search-resume';
+const SEARCH_PORT_NAME = 'vault-search-events'; // runtime Port for pushed search events
+const PROGRESS_EVENT_INTERVAL = 250; // Throttle for pushed progress events
+const WATCH_NOTIFICATION_PATHS = 3; // Paths named per change in a watch notification
 
 // Restore auth state on startup
-(async function restoreAuthState() {
+async function restoreAuthState() {
   try {
     const result = await chrome.storage.local.get(['authState']);
     if (result.authState && result.authState.authenticated) {
@@ -47,7 +62,10 @@ const ACTIVITY_CHECK_INTERVAL = 60 * 1000; // 1 minute
   } catch (error) {
     console.error('[Vault Search] Error restoring auth state:', error);
   }
-})();
+}
+
+// Auth first, then any searches checkpointed before the worker was suspended
+const stateReady = restoreAuthState().then(restoreSearches);
 
 // Initialize
 chrome.runtime.onInstalled.addListener((details) => {
@@ -61,6 +79,12 @@ chrome.runtime.onInstalled.addListener((details) => {
 
 // Message handler
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // After a restart, answer only once auth and searches are restored
+  stateReady.then(() => handleMessage(request, sender, sendResponse));
+  return true; // Keep message channel open
+});
+
+function handleMessage(request, sender, sendResponse) {
   console.log('[Vault Search] Received message:', request.type);
 
   switch (request.type) {
@@ -109,6 +133,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       return true;
 
+    case 'CANCEL_SEARCH':
+      sendResponse(handleCancelSearch(request.searchId));
+      break;
+
     case 'GET_SEARCH_RESULTS':
       const searchData = activeSearches.get(request.searchId);
       if (searchData) {
@@ -116,6 +144,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           success: true,
           status: searchData.status,
           results: searchData.results || [],
+          progress: searchData.progress,
           error: searchData.error
         });
       } else {
@@ -141,6 +170,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       break;
 
+    case 'GET_INDEX_STATUS':
+      handleGetIndexStatus().then(result => {
+        sendResponse(result);
+      });
+      return true;
+
+    case 'REBUILD_INDEX':
+      handleRebuildIndex().then(result => {
+        sendResponse(result);
+      });
+      return true;
+
+    case 'CANCEL_INDEX_REBUILD':
+      sendResponse(handleCancelIndexRebuild());
+      break;
+
+    case 'RUN_WATCH':
+      runSavedSearchWatch(request.name).then(result => {
+        sendResponse(result);
+      });
+      return true;
+
+    case 'READ_SECRET':
+      handleReadSecret(request).then(result => {
+        sendResponse(result);
+      });
+      return true;
+
+    case 'REVEAL_VALUES':
+      handleRevealValues(request).then(result => {
+        sendResponse(result);
+      });
+      return true;
+
     case 'OPEN_RESULT':
       handleOpenResult(request).then(result => {
         sendResponse(result);
@@ -174,9 +237,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       console.warn('[Vault Search] Unknown message type:', request.type);
       sendResponse({ error: 'Unknown message type' });
   }
-
-  return true; // Keep message channel open
-});
+}
 
 // Store authentication data
 async function handleStoreAuth(data) {
@@ -427,6 +488,61 @@ async function handleOpenResult(request) {
   }
 }
 
+// Read a result's secret with the stored auth: { data, metadata, kv2 }. As readKV() in content.js
+// does, a KV2 read that 404s is retried as KV1. KV2 metadata is read only when asked for and is
+// null when the token can't read it.
+async function readResultSecret({ mount, secretPath, kv2, version, namespace }, { withMetadata = false } = {}) {
+  const auth = getAuthData();
+  if (!auth.authenticated) {
+    throw new Error(auth.error);
+  }
+
+  const headers = { 'X-Vault-Token': auth.token };
+  if (namespace) headers['X-Vault-Namespace'] = namespace;
+  const get = (apiPath, query = '') => fetch(`${auth.vaultUrl}/v1/${encodePath(apiPath)}${query}`, { headers });
+
+  if (kv2) {
+    const response = await get(`${mount}data/${secretPath}`, version ? `?version=${version}` : '');
+    if (response.ok) {
+      const data = (await response.json()).data?.data || {};
+      const metadataResponse = withMetadata ? await get(`${mount}metadata/${secretPath}`) : null;
+      const metadata = metadataResponse?.ok ? (await metadataResponse.json()).data || null : null;
+      return { data, metadata, kv2: true };
+    }
+    if (response.status !== 404 || version) {
+      throw new Error(`Vault returned ${response.status}`);
+    }
+  }
+
+  const response = await get(`${mount}${secretPath}`);
+  if (!response.ok) {
+    throw new Error(`Vault returned ${response.status}`);
+  }
+  return { data: (await response.json()).data || {}, metadata: null, kv2: false };
+}
+
+// Secret viewer in the popup: a result's data and, for KV2, its metadata. Nothing read here is stored.
+async function handleReadSecret({ result }) {
+  try {
+    return { success: true, ...await readResultSecret(result, { withMetadata: true }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Read a result's secret again to show the values at the given JSON paths, which searches only
+// keep masked; previews, or whole values with `full` (exports). Given the search's query and
+// options, also where it matched them, for highlighting. Nothing read here is stored.
+async function handleRevealValues({ result, jsonPaths, full = false, query = '', options = {} }) {
+  try {
+    const { data } = await readResultSecret(result);
+    const ranges = query ? compileQuery(query, options).valueRanges(data, jsonPaths) : {};
+    return { success: true, values: readMatchValues(data, jsonPaths, { full }), ranges };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 // Handle search in background (continues even if popup closes)
 async function handleStartSearch(request, sender) {
   const searchId = `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -438,287 +554,1366 @@ async function handleStartSearch(request, sender) {
   }
 
   // Extract search parameters (support both formats)
-  const searchTerm = request.query || request.data?.term || '';
-  const options = request.options || {};
+  const options = normalizeSearchOptions(request.options || request.data?.options);
+  // An audit's query only narrows what is checked
+  const searchTerm = request.query || request.data?.term || (options.audit ? AUDIT_ALL_SECRETS : '');
+
+  const queryError = validateQuery(searchTerm, options);
+  if (queryError) {
+    return { success: false, error: queryError };
+  }
 
   // Initialize search state
   activeSearches.set(searchId, {
     status: 'running',
     results: [],
-    progress: 0,
+    progress: createSearchProgress(),
     error: null,
     query: searchTerm,
-    options
+    options,
+    vaultUrl: auth.vaultUrl,
+    namespace: auth.namespace,
+    checkpoint: null, // Pending engine work, see saveSearchCheckpoint()
+    // Aborting this controller stops every in-flight Vault request of the search
+    abortController: new AbortController()
   });
 
-  // Start search in background (don't await)
+  startSearch(searchId, auth);
+
+  return { success: true, searchId };
+}
+
+// Run (or resume) a search job without blocking the caller
+function startSearch(searchId, auth) {
+  const searchState = activeSearches.get(searchId);
+  updateSearchKeepAlive();
+
   performBackgroundSearch(searchId, {
-    term: searchTerm,
+    term: searchState.query,
     vaultUrl: auth.vaultUrl,
     token: auth.token,
     namespace: auth.namespace,
-    options
+    options: searchState.options,
+    signal: searchState.abortController.signal
   }).catch(error => {
     console.error('[Vault Search] Background search error:', error);
-    const searchState = activeSearches.get(searchId);
-    if (searchState) {
-      searchState.status = 'error';
-      searchState.error = error.message;
+    if (searchState.status === 'running') {
+      finishSearch(searchId, 'error', error.message);
     }
+  }).finally(() => {
+    saveSearchCheckpoint(searchId);
+    updateSearchKeepAlive();
   });
+}
 
-  return { success: true, searchId };
+// Counters behind the progress shown in the popup. Folders and secrets count
+// up when queued and again when done, so "done / queued" is the phase's progress.
+function createSearchProgress() {
+  return {
+    phase: 'list',
+    startedAt: Date.now(),
+    finishedAt: null,
+    totalMounts: 0,
+    mountsDone: 0,
+    foldersQueued: 0,
+    foldersListed: 0,
+    secretsQueued: 0,
+    secretsRead: 0,
+    denied: 0, // 403 on a list or read
+    errors: 0, // Anything else that failed, except 404s
+    requests: 0, // Vault calls made, retries included
+    retries: 0, // 429/503 and timeouts retried
+    stoppedBy: null // 'requests' or 'time' when the search ran out of budget
+  };
 }
 
-// Perform comprehensive search in background
-async function performBackgroundSearch(searchId, { term, vaultUrl, token, namespace }) {
+// Map popup/overlay options onto matchText() options and engine settings
+function normalizeSearchOptions(raw = {}) {
+  let mode = raw.mode || (raw.exactMatch ? 'exact' : 'contains');
+  if (!MATCH_MODES.includes(mode)) mode = 'contains';
+
+  const similarity = Number(raw.similarity);
+  const concurrency = parseInt(raw.concurrency, 10);
+  const maxVersions = parseInt(raw.maxVersions, 10);
+  const maxRequestsPerSecond = parseInt(raw.maxRequestsPerSecond, 10);
+  const maxRequests = parseInt(raw.maxRequests, 10);
+  const maxSeconds = parseInt(raw.maxSeconds, 10);
+
+  return {
+    mode,
+    similarity: similarity > 0 && similarity <= 1 ? similarity : 0.8,
+    caseInsensitive: raw.caseInsensitive !== false,
+    searchMetadata: !!raw.searchMetadata, // Plain terms also match KV2 custom_metadata
+    // Audits check current KV secrets only
+    searchHistory: !!raw.searchHistory && !raw.audit, // Also read older KV2 versions
+    searchEngines: !!raw.searchEngines && !raw.audit, // Also list names in the engines of engines.js
+    includeNamespaces: !!raw.includeNamespaces, // Also search every child namespace (Enterprise)
+    maxVersions: maxVersions > 0 ? Math.min(maxVersions, MAX_HISTORY_VERSIONS) : DEFAULT_HISTORY_VERSIONS,
+    concurrency: concurrency > 0 ? Math.min(concurrency, MAX_SEARCH_CONCURRENCY) : DEFAULT_SEARCH_CONCURRENCY,
+    // 0: no cap until Vault answers 429, see scheduler.js
+    maxRequestsPerSecond: maxRequestsPerSecond >= 0 ? Math.min(maxRequestsPerSecond, MAX_REQUESTS_PER_SECOND) : DEFAULT_REQUESTS_PER_SECOND,
+    maxRequests: maxRequests > 0 ? maxRequests : 0, // Request budget, 0 for none
+    maxSeconds: maxSeconds > 0 ? maxSeconds : 0, // Time budget, 0 for none
+    deepScope: raw.deepScope === 'candidates' ? 'candidates' : 'all',
+    audit: raw.audit ? normalizeAuditSettings(raw.audit) : null // Rule thresholds in audit mode, see audit.js
+  };
+}
+
+// Cancel a running search, keeping partial results readable
+function handleCancelSearch(searchId) {
+  const searchState = activeSearches.get(searchId);
+  if (!searchState) {
+    return { success: false, error: 'Search not found' };
+  }
+
+  if (searchState.status === 'running') {
+    searchState.abortController.abort();
+    console.log('[Vault Search] Search cancelled:', searchId);
+    finishSearch(searchId, 'cancelled');
+    saveSearchCheckpoint(searchId);
+    updateSearchKeepAlive();
+  }
+
+  return { success: true, status: searchState.status, results: searchState.results };
+}
+
+// Record the final status of a search and tell connected pages
+function finishSearch(searchId, status, error = null) {
   const searchState = activeSearches.get(searchId);
   if (!searchState) return;
 
+  searchState.status = status;
+  searchState.error = error;
+  searchState.progress.finishedAt = Date.now();
+  scheduleSearchCleanup(searchId);
+
+  if (status === 'error') {
+    emitSearchEvent(searchId, { type: 'error', error });
+  } else {
+    emitSearchEvent(searchId, { type: 'done', status, resultCount: searchState.results.length, progress: searchState.progress });
+    if (searchState.options.audit) return;
+    // Finished and cancelled searches go to the recent searches the popup offers to run again
+    recordRecentSearch(createSearchEntry({
+      term: searchState.query,
+      options: searchState.options,
+      vaultUrl: searchState.vaultUrl,
+      namespace: searchState.namespace,
+      source: 'popup',
+      resultCount: searchState.results.length
+    })).catch(error => console.warn('[Vault Search] Could not record recent search:', error));
+  }
+}
+
+// Drop finished searches after 5 minutes
+function scheduleSearchCleanup(searchId) {
+  const searchState = activeSearches.get(searchId);
+  if (!searchState) return;
+
+  searchState.finishedAt = searchState.finishedAt || Date.now();
+  const remaining = SEARCH_RETENTION - (Date.now() - searchState.finishedAt);
+
+  setTimeout(() => {
+    activeSearches.delete(searchId);
+    chrome.storage.session.remove(`${SEARCH_STORAGE_PREFIX}${searchId}`).catch(() => {});
+  }, Math.max(remaining, 0));
+}
+
+// Persist a search, including its pending engine work, to chrome.storage.session
+async function saveSearchCheckpoint(searchId) {
+  const searchState = activeSearches.get(searchId);
+  if (!searchState) return;
+
+  const ctx = searchState.engine;
+  if (searchState.status !== 'running') {
+    searchState.checkpoint = null;
+  } else if (ctx) {
+    searchState.checkpoint = {
+      phase: ctx.phase,
+      namespaces: ctx.pendingNamespaces,
+      mounts: [...ctx.mounts.values()],
+      tasks: ctx.pool.pending(),
+      candidates: ctx.candidates
+    };
+  }
+
+  const { abortController, engine, ...persisted } = searchState;
   try {
-    const results = [];
+    await chrome.storage.session.set({ [`${SEARCH_STORAGE_PREFIX}${searchId}`]: persisted });
+  } catch (error) {
+    console.warn('[Vault Search] Could not checkpoint search:', error);
+  }
+}
 
-    // List all mounts
-    const mountsUrl = `${vaultUrl}/v1/sys/mounts`;
-    const headers = { 'X-Vault-Token': token };
-    if (namespace) headers['X-Vault-Namespace'] = namespace;
+// Reload searches saved before the service worker was suspended and resume running ones
+async function restoreSearches() {
+  let stored = {};
+  try {
+    stored = await chrome.storage.session.get(null);
+  } catch (error) {
+    console.error('[Vault Search] Error restoring searches:', error);
+    return;
+  }
 
-    const mountsResponse = await fetch(mountsUrl, { headers });
-    if (!mountsResponse.ok) {
-      throw new Error(`Failed to list mounts: ${mountsResponse.statusText}`);
+  for (const [key, searchState] of Object.entries(stored)) {
+    if (!key.startsWith(SEARCH_STORAGE_PREFIX)) continue;
+    const searchId = key.slice(SEARCH_STORAGE_PREFIX.length);
+
+    activeSearches.set(searchId, { ...searchState, abortController: new AbortController() });
+
+    if (searchState.status === 'running') {
+      resumeSearch(searchId);
+    } else {
+      scheduleSearchCleanup(searchId);
     }
+  }
+}
+
+function resumeSearch(searchId) {
+  const searchState = activeSearches.get(searchId);
+  const auth = getAuthData();
+
+  // Only resume against the server and namespace the search was started on
+  if (!auth.authenticated || auth.vaultUrl !== searchState.vaultUrl || auth.namespace !== searchState.namespace) {
+    finishSearch(searchId, 'error', 'Session changed before the search could resume');
+    saveSearchCheckpoint(searchId);
+    return;
+  }
 
-    const mountsData = await mountsResponse.json();
-    const kvMounts = Object.entries(mountsData.data || {})
-      .filter(([_, v]) => v.type === 'kv' || v.type === 'generic')
-      .map(([k]) => k);
+  console.log('[Vault Search] Resuming search after worker restart:', searchId);
+  startSearch(searchId, auth);
+}
 
-    // Search all mounts in parallel
-    const searchPromises = kvMounts.map(mount =>
-      searchMount(vaultUrl, token, namespace, mount, term, searchState)
-    );
+// Keep the worker awake while searches, watches and index rebuilds run; the alarm wakes it up
+// again if Chrome suspends it anyway
+let keepAliveInterval = null;
 
-    const mountResults = await Promise.allSettled(searchPromises);
+function updateSearchKeepAlive() {
+  const running = !!indexRebuild || runningWatches.size > 0 ||
+    [...activeSearches.values()].some(searchState => searchState.status === 'running');
 
-    // Collect all results
-    mountResults.forEach(result => {
-      if (result.status === 'fulfilled' && result.value) {
-        results.push(...result.value);
+  if (running) {
+    if (!keepAliveInterval) {
+      keepAliveInterval = setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL);
+      chrome.alarms.create(RESUME_ALARM, { periodInMinutes: 0.5 });
+    }
+  } else {
+    if (keepAliveInterval) {
+      clearInterval(keepAliveInterval);
+      keepAliveInterval = null;
+    }
+    chrome.alarms.clear(RESUME_ALARM);
+  }
+}
+
+// Connected popups, overlays and extension pages receiving search events.
+// Clients send { type: 'SUBSCRIBE', searchId } and get a snapshot of the search back;
+// after that every event of every search is pushed to every port:
+//   result { result } (new or updated, see results.js), removed { path, exact } (exact: keep what is below),
+//   mount-start / mount-done { mount }, progress { progress }, done { status, resultCount, progress }, error { error }
+const searchPorts = new Set();
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== SEARCH_PORT_NAME) return;
+
+  searchPorts.add(port);
+  port.onDisconnect.addListener(() => searchPorts.delete(port));
+  port.onMessage.addListener((message) => {
+    stateReady.then(() => {
+      if (message.type === 'SUBSCRIBE') {
+        port.postMessage(getSearchSnapshot(message.searchId));
       }
     });
+  });
+});
 
-    // Update final state
-    searchState.status = 'completed';
-    searchState.results = results;
-    searchState.progress = 100;
+function getSearchSnapshot(searchId) {
+  const searchState = activeSearches.get(searchId);
+  if (!searchState) {
+    return { type: 'snapshot', searchId, status: 'not_found', results: [] };
+  }
 
-    // Auto-cleanup after 5 minutes
-    setTimeout(() => {
-      activeSearches.delete(searchId);
-    }, 5 * 60 * 1000);
+  return {
+    type: 'snapshot',
+    searchId,
+    status: searchState.status,
+    query: searchState.query,
+    options: searchState.options,
+    audit: searchState.options.audit,
+    results: searchState.results,
+    progress: searchState.progress,
+    error: searchState.error
+  };
+}
+
+function emitSearchEvent(searchId, event) {
+  if (!searchId) return; // Watch runs have nobody listening
+  const message = { ...event, searchId };
+  for (const port of searchPorts) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      searchPorts.delete(port);
+    }
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RESUME_ALARM) {
+    // Waking the worker is enough: restoreSearches() resumes checkpointed jobs
+    stateReady.then(updateSearchKeepAlive);
+  } else if (alarm.name.startsWith(WATCH_ALARM_PREFIX)) {
+    stateReady.then(() => runSavedSearchWatch(alarm.name.slice(WATCH_ALARM_PREFIX.length)));
+  }
+});
+
+// Perform comprehensive search in background.
+// Phase A lists every mount through a shared worker pool and matches paths;
+// Phase B deep-reads the candidate secrets through the same pool.
+async function performBackgroundSearch(searchId, { term, vaultUrl, token, namespace, options, signal }) {
+  const searchState = activeSearches.get(searchId);
+  if (!searchState) return;
+
+  const ctx = createSearchContext({ searchId, vaultUrl, token, namespace, term, options, signal, searchState });
+  searchState.engine = ctx;
+  const checkpointTimer = setInterval(() => saveSearchCheckpoint(searchId), SEARCH_CHECKPOINT_INTERVAL);
+
+  try {
+    if (searchState.checkpoint) {
+      restoreSearchContext(ctx, searchState.checkpoint);
+    } else {
+      ctx.pendingNamespaces = ctx.options.includeNamespaces ? await listNamespaces(ctx) : [ctx.namespace || ''];
+    }
+
+    await runSearchPhases(ctx);
+
+    // A cancelled search keeps its status and whatever it found so far
+    if (signal.aborted) return;
+
+    reportProgress(ctx, true);
+    finishSearch(searchId, 'completed');
 
   } catch (error) {
-    searchState.status = 'error';
-    searchState.error = error.message;
+    if (signal.aborted) return;
+    // A spent budget ends the search with what it found so far, wherever it stopped
+    finishSearch(searchId, ctx.progress.stoppedBy ? 'completed' : 'error', ctx.progress.stoppedBy ? null : error.message);
+  } finally {
+    clearInterval(checkpointTimer);
+    searchState.engine = null;
   }
 }
 
-// Search a single mount
-async function searchMount(vaultUrl, token, namespace, mount, term, searchState) {
-  const results = [];
-  const headers = { 'X-Vault-Token': token };
-  if (namespace) headers['X-Vault-Namespace'] = namespace;
+// Both phases of a search whose context is seeded with namespaces (or restored), up to the
+// point where every task has run; the caller finishes the search
+async function runSearchPhases(ctx) {
+  // Seed the pool namespace by namespace; listing starts while later namespaces are still looked up
+  while (ctx.pendingNamespaces.length && !ctx.signal.aborted) {
+    const mounts = await listSearchableMounts(ctx, ctx.pendingNamespaces[0]);
+    mounts
+      .filter(({ mount, kv2, engine }) => ctx.query.allowsMount(mount, kv2, engine))
+      .forEach(mount => searchMount(ctx, mount));
+    ctx.pendingNamespaces.shift();
+  }
 
+  // Phase A: path-only traversal of every mount, answered from the path index where possible
+  if (ctx.phase === 'list' && !ctx.signal.aborted) {
+    await ctx.pool.drain();
+
+    // Phase B: deep read of candidate secrets
+    ctx.phase = 'read';
+    ctx.progress.phase = 'read';
+    for (const { mount, path } of ctx.candidates) {
+      queueSearchTask(ctx, { kind: 'read', mount, path });
+    }
+    ctx.candidates = [];
+    // Mounts without candidates are finished already
+    for (const [mount, pending] of ctx.mountTasks) {
+      if (!pending) markMountDone(ctx, mount);
+    }
+    reportProgress(ctx, true);
+    saveSearchCheckpoint(ctx.searchId);
+  }
+  await ctx.pool.drain();
+
+  await savePathIndexProgress(ctx);
+}
+
+function createSearchContext({ searchId = null, vaultUrl, token, namespace, term = '', options, signal, searchState = null, useIndex = true }) {
+  // Aborted when the search is cancelled or runs out of budget
+  const stop = new AbortController();
+  if (signal.aborted) stop.abort();
+  signal.addEventListener('abort', () => stop.abort());
+
+  const ctx = {
+    searchId,
+    vaultUrl,
+    token,
+    namespace,
+    term,
+    query: term ? compileQuery(term, options) : null, // Index rebuilds have no query
+    options,
+    signal: stop.signal,
+    searchState,
+    useIndex, // Answer listings from the path index where it's fresh enough
+    phase: 'list',
+    progress: searchState ? searchState.progress : createSearchProgress(),
+    lastProgressAt: 0,
+    pendingNamespaces: [], // Namespaces whose mounts aren't queued yet
+    mounts: new Map(), // By mountInfo.key
+    mountTasks: new Map(), // Unfinished tasks per mount
+    indexKey: pathIndexKey(vaultUrl, namespace),
+    latestUpdates: new Map(), // indexKey -> folder -> newest write
+    capabilityCheckers: new Map(), // namespace -> batching sys/capabilities-self checker
+    candidates: [],
+    resultsByPath: new Map()
+  };
+  ctx.pool = createTaskPool(options.concurrency, ctx.signal, task => runSearchTask(ctx, task));
+  // A resumed search carries on with the budget it had left
+  ctx.scheduler = createRequestScheduler({
+    maxPerSecond: options.maxRequestsPerSecond,
+    maxRequests: options.maxRequests,
+    maxSeconds: options.maxSeconds,
+    sent: ctx.progress.requests,
+    startedAt: ctx.progress.startedAt,
+    onRequest: () => ctx.progress.requests++,
+    onRetry: () => ctx.progress.retries++,
+    onExhausted: reason => {
+      ctx.progress.stoppedBy = reason;
+      stop.abort();
+    }
+  });
+  return ctx;
+}
+
+// Pick a checkpointed search back up where the suspended worker left it
+function restoreSearchContext(ctx, checkpoint) {
+  ctx.phase = checkpoint.phase;
+  ctx.pendingNamespaces = checkpoint.namespaces || [];
+  checkpoint.mounts.forEach(mountInfo => ctx.mounts.set(mountInfo.key, mountInfo));
+  ctx.candidates = checkpoint.candidates;
+  ctx.searchState.results.forEach(r => ctx.resultsByPath.set(r.path, r));
+  // Tasks that were in flight run again; their results are merged into the existing ones.
+  // They were counted as queued before the restart, so don't count them twice.
+  checkpoint.tasks.forEach(task => queueSearchTask(ctx, task, false));
+}
+
+// Tasks are plain objects so the queue can be checkpointed:
+//   { kind: 'list', mount, prefix, depth, keys }   keys: granted secrets taken as listed, see aclSeeds
+//   { kind: 'refresh', mount, prefix, depth, cached }
+//   { kind: 'read', mount, path }
+//   { kind: 'engine', mount, list }   one LIST endpoint of a non-KV engine, see engines.js
+async function runSearchTask(ctx, task) {
+  const mountInfo = ctx.mounts.get(task.mount);
   try {
-    // List all paths recursively
-    const paths = await listAllPaths(vaultUrl, token, namespace, mount, '', 10);
-
-    for (const pathObj of paths) {
-      const path = typeof pathObj === 'string' ? pathObj : pathObj.path;
-      const pathType = typeof pathObj === 'string' ? 'file' : pathObj.type;
-      const fullPath = `${mount}${path}`;
-      const lowerTerm = term.toLowerCase();
-      const lowerPath = fullPath.toLowerCase();
-
-      // Check if path matches (any match type)
-      const pathMatches = lowerPath.includes(lowerTerm) ||
-                         fuzzyMatch(lowerPath, lowerTerm) ||
-                         fullPath === term;
-
-      if (pathMatches) {
-        // Remove trailing slash for display
-        const displayPath = path.endsWith('/') ? path.slice(0, -1) : path;
-        const displayFullPath = `${mount}${displayPath}`;
-        results.push({
-          path: displayFullPath,
-          mount: mount,
-          type: 'path',
-          url: `${vaultUrl}/ui/vault/secrets/${mount}/show/${displayPath}`,
-          matchType: pathType === 'directory' ? 'directory' : 'path',
-          isDirectory: pathType === 'directory'
-        });
-      }
+    switch (task.kind) {
+      case 'list':
+        return await listAllPaths(ctx, mountInfo, task.prefix, task.depth, task.keys);
+      case 'refresh':
+        return await refreshPrefix(ctx, mountInfo, task.prefix, task.depth, task.cached);
+      case 'read':
+        if (ctx.options.audit) return await auditListedSecret(ctx, mountInfo, task.path);
+        return await searchSecret(ctx, mountInfo, task.path);
+      case 'engine':
+        return await searchEngineList(ctx, mountInfo, task.list);
+    }
+  } finally {
+    if (task.kind === 'read') {
+      ctx.progress.secretsRead++;
+    } else {
+      ctx.progress.foldersListed++;
+    }
 
-      // Only search content for files, not directories
-      if (pathType !== 'directory') {
-        // Try to read secret and search content
-        try {
-        const isKv2 = await checkIfKv2(vaultUrl, token, namespace, mount);
-        const dataPath = isKv2 ? `${mount}data/${path}` : `${mount}${path}`;
-        const secretUrl = `${vaultUrl}/v1/${dataPath}`;
-
-        const secretResponse = await fetch(secretUrl, { headers });
-        if (secretResponse.ok) {
-          const secretData = await secretResponse.json();
-          const data = isKv2 ? secretData.data?.data : secretData.data;
-
-          if (data) {
-            const matches = searchInData(data, term);
-            if (matches.length > 0) {
-              results.push({
-                path: fullPath,
-                mount: mount,
-                type: 'content',
-                url: `${vaultUrl}/ui/vault/secrets/${mount}/show/${path}`,
-                matchType: 'content',
-                matches: matches.slice(0, 3)
-              });
-            }
-          }
-        }
-      } catch (e) {
-        // Skip secrets we can't read
-      }
+    const pending = ctx.mountTasks.get(task.mount) - 1;
+    ctx.mountTasks.set(task.mount, pending);
+    // Listing alone doesn't finish a mount; its deep reads come after
+    if (!pending && ctx.phase === 'read') {
+      markMountDone(ctx, task.mount);
     }
 
-      // Update progress
-      if (searchState) {
-        searchState.results = results;
-      }
+    reportProgress(ctx);
+  }
+}
+
+function queueSearchTask(ctx, task, countProgress = true) {
+  if (countProgress) {
+    if (task.kind === 'read') {
+      ctx.progress.secretsQueued++;
+    } else {
+      ctx.progress.foldersQueued++;
     }
-  } catch (error) {
-    console.error(`[Vault Search] Error searching mount ${mount}:`, error);
   }
 
-  return results;
+  ctx.mountTasks.set(task.mount, (ctx.mountTasks.get(task.mount) || 0) + 1);
+  ctx.pool.push(task);
 }
 
-// List all paths recursively
-async function listAllPaths(vaultUrl, token, namespace, mount, prefix, maxDepth, depth = 0) {
-  if (depth >= maxDepth) return [];
+function markMountDone(ctx, mount) {
+  ctx.progress.mountsDone++;
+  if (ctx.searchState) emitSearchEvent(ctx.searchId, { type: 'mount-done', mount });
+}
 
-  const paths = [];
-  const headers = { 'X-Vault-Token': token };
-  if (namespace) headers['X-Vault-Namespace'] = namespace;
+// Push the counters to connected pages, at most every PROGRESS_EVENT_INTERVAL
+function reportProgress(ctx, force = false) {
+  if (!ctx.searchState) return;
+  const now = Date.now();
+  if (!force && now - ctx.lastProgressAt < PROGRESS_EVENT_INTERVAL) return;
+  ctx.lastProgressAt = now;
+  emitSearchEvent(ctx.searchId, { type: 'progress', progress: ctx.progress });
+}
 
+// Count a failed Vault response (404s are just missing paths)
+function countFailedResponse(ctx, response) {
+  if (response.status === 403) {
+    ctx.progress.denied++;
+  } else if (response.status !== 404) {
+    ctx.progress.errors++;
+  }
+}
+
+// KV mounts of a namespace visible to the token, with their KV version, plus other engines' mounts
+// when searched. Tokens that can't read sys/mounts get the mounts of their ACL instead; child
+// namespaces whose mounts can't be found either way are skipped.
+async function listSearchableMounts(ctx, namespace = ctx.namespace || '') {
+  const isChild = namespaceLabel(ctx, namespace) !== '';
+  let mountsResponse;
   try {
-    // Check if KV2
-    const isKv2 = await checkIfKv2(vaultUrl, token, namespace, mount);
-    const listPath = isKv2 ? `${mount}metadata/${prefix}` : `${mount}${prefix}`;
-    const listUrl = `${vaultUrl}/v1/${listPath}?list=true`;
+    mountsResponse = await vaultFetch(ctx, 'sys/mounts', namespace);
+  } catch (error) {
+    if (!isChild) throw error;
+    if (!ctx.signal.aborted) ctx.progress.errors++;
+    return [];
+  }
+  if (!mountsResponse.ok) {
+    const aclMounts = await listAclMounts(ctx, namespace);
+    if (aclMounts) return aclMounts;
+    if (!isChild) throw new Error(`Failed to list mounts: ${mountsResponse.statusText}`);
+    countFailedResponse(ctx, mountsResponse);
+    return [];
+  }
 
-    const response = await fetch(listUrl, { headers });
-    if (!response.ok) return [];
+  const mountsData = await mountsResponse.json();
+  return Object.entries(mountsData.data || {})
+    .map(([mount, info]) => searchableMountInfo(ctx, namespace, mount, info))
+    .filter(Boolean);
+}
 
-    const data = await response.json();
-    const keys = data.data?.keys || [];
+// Mounts and starting folders from the token's resultant ACL, for tokens that can't read
+// sys/mounts (see aclSeeds); null if the ACL can't be read or grants no searchable mount
+async function listAclMounts(ctx, namespace) {
+  let granted;
+  try {
+    const response = await vaultFetch(ctx, 'sys/internal/ui/resultant-acl', namespace);
+    if (!response.ok) return null;
+    granted = aclGrantedPaths((await response.json()).data);
+  } catch (e) {
+    return null;
+  }
+
+  const found = await resolveAclMounts(granted, async path => {
+    try {
+      const response = await vaultFetch(ctx, `sys/internal/ui/mounts/${encodePath(path)}`, namespace);
+      return response.ok ? (await response.json()).data : null;
+    } catch (e) {
+      return null;
+    }
+  });
+
+  const mounts = [];
+  for (const [mount, info] of found) {
+    const mountInfo = searchableMountInfo(ctx, namespace, mount, info);
+    if (!mountInfo) continue;
+    if (mountInfo.engine === 'kv') mountInfo.seeds = aclSeeds(mount, mountInfo.kv2, granted);
+    mounts.push(mountInfo);
+  }
+  return mounts.length ? mounts : null;
+}
+
+// Mount info for a sys/mounts entry if it is searched: KV, or another engine's when enabled
+function searchableMountInfo(ctx, namespace, mount, info) {
+  if (info.type === 'kv' || info.type === 'generic') {
+    return createMountInfo(ctx, namespace, { mount, kv2: String(info.options?.version || '1') === '2', engine: 'kv' });
+  }
+  if (ctx.options.searchEngines && ENGINE_ADAPTERS[info.type]) {
+    return createMountInfo(ctx, namespace, { mount, kv2: false, engine: info.type });
+  }
+  return null;
+}
+
+// A mount of one namespace. `key` sets equally named mounts of different namespaces apart;
+// it prefixes result paths with the namespace, relative to the one searched ('' for that one).
+function createMountInfo(ctx, namespace, fields) {
+  const label = namespaceLabel(ctx, namespace);
+  return {
+    ...fields,
+    namespace,
+    namespaceLabel: label,
+    key: label ? `${label}/${fields.mount}` : fields.mount,
+    indexKey: pathIndexKey(ctx.vaultUrl, namespace)
+  };
+}
+
+// Namespace path relative to the search's own namespace, '' for that namespace itself
+function namespaceLabel(ctx, namespace) {
+  const trim = ns => (ns || '').replace(/^\/+|\/+$/g, '');
+  const base = trim(ctx.namespace);
+  const ns = trim(namespace);
+  if (ns === base) return '';
+  return base ? ns.slice(base.length + 1) : ns;
+}
+
+// The search's namespace and every child namespace below it, breadth first.
+// Namespaces the token can't list children of are searched but not descended into.
+async function listNamespaces(ctx) {
+  const namespaces = [ctx.namespace || ''];
+  const queue = [(ctx.namespace || '').replace(/^\/+|\/+$/g, '')];
+
+  while (queue.length && !ctx.signal.aborted) {
+    const parent = queue.shift();
+    let keys = [];
+    try {
+      const response = await vaultFetch(ctx, 'sys/namespaces?list=true', parent);
+      if (!response.ok) {
+        // 404: no children (or no namespaces at all outside Enterprise)
+        countFailedResponse(ctx, response);
+        continue;
+      }
+      keys = (await response.json()).data?.keys || [];
+    } catch (e) {
+      if (!ctx.signal.aborted) ctx.progress.errors++;
+      continue;
+    }
 
     for (const key of keys) {
-      const fullPath = prefix + key;
-      if (key.endsWith('/')) {
-        // Directory - ADD to results (this was missing!)
-        paths.push({
-          path: fullPath,
-          type: 'directory'
-        });
-        // Then recurse into subdirectories
-        const subPaths = await listAllPaths(vaultUrl, token, namespace, mount, fullPath, maxDepth, depth + 1);
-        paths.push(...subPaths);
-      } else {
-        // File
-        paths.push({
-          path: fullPath,
-          type: 'file'
+      const child = parent ? `${parent}/${key.replace(/\/$/, '')}` : key.replace(/\/$/, '');
+      namespaces.push(child);
+      queue.push(child);
+    }
+  }
+  return namespaces;
+}
+
+// Persist folder write times seen during the deep read and bump the index age
+async function savePathIndexProgress(ctx) {
+  try {
+    for (const [indexKey, latestByFolder] of ctx.latestUpdates) {
+      await recordLatestUpdates(indexKey, latestByFolder);
+    }
+    // Every namespace searched has its own index
+    for (const indexKey of new Set([...ctx.mounts.values()].map(m => m.indexKey))) {
+      await touchPathIndexMeta(indexKey);
+    }
+  } catch (error) {
+    console.warn('[Vault Search] Could not update path index:', error);
+  }
+}
+
+// Bounded-concurrency task queue. Tasks may push more tasks; drain() resolves
+// once the queue is empty and nothing is running.
+function createTaskPool(concurrency, signal, runTask) {
+  const queue = [];
+  const running = new Set();
+  let idleWaiters = [];
+
+  function settle() {
+    if (queue.length || running.size) return;
+    idleWaiters.forEach(resolve => resolve());
+    idleWaiters = [];
+  }
+
+  function next() {
+    if (signal?.aborted) queue.length = 0;
+
+    while (running.size < concurrency && queue.length) {
+      const task = queue.shift();
+      running.add(task);
+      Promise.resolve()
+        .then(() => runTask(task))
+        .catch(error => {
+          if (!signal?.aborted) console.warn('[Vault Search] Search task failed:', error);
+        })
+        .finally(() => {
+          running.delete(task);
+          next();
         });
-      }
     }
+
+    settle();
+  }
+
+  return {
+    push(task) {
+      queue.push(task);
+      next();
+    },
+    drain() {
+      return new Promise(resolve => {
+        idleWaiters.push(resolve);
+        settle();
+      });
+    },
+    // Everything not finished yet, in-flight tasks first
+    pending() {
+      return [...running, ...queue];
+    }
+  };
+}
+
+// Authenticated request (GET unless init says otherwise) against the Vault API for the current
+// search, in its namespace or a child's, paced and retried by the search's scheduler
+function vaultFetch(ctx, apiPath, namespace = ctx.namespace, init = {}) {
+  const headers = { 'X-Vault-Token': ctx.token };
+  if (namespace) headers['X-Vault-Namespace'] = namespace;
+  return ctx.scheduler.fetch(`${ctx.vaultUrl}/v1/${apiPath}`, { ...init, headers, signal: ctx.signal });
+}
+
+// Encode each segment of a secret path, keeping the slashes
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Seed the pool with the root listing of a mount (or the folders and secrets its ACL grants),
+// or the name lists of another engine
+function searchMount(ctx, mountInfo) {
+  ctx.mounts.set(mountInfo.key, mountInfo);
+  ctx.progress.totalMounts++;
+  if (ctx.searchState) emitSearchEvent(ctx.searchId, { type: 'mount-start', mount: mountInfo.key });
+  if (mountInfo.engine !== 'kv') {
+    ENGINE_ADAPTERS[mountInfo.engine].lists.forEach(({ list }) => queueSearchTask(ctx, { kind: 'engine', mount: mountInfo.key, list }));
+    return;
+  }
+  if (!mountInfo.seeds) {
+    queueSearchTask(ctx, { kind: 'list', mount: mountInfo.key, prefix: '', depth: 0 });
+    return;
+  }
+
+  const depthOf = prefix => prefix.split('/').length - 1;
+  mountInfo.seeds.prefixes
+    .filter(prefix => !ctx.query || ctx.query.allowsPrefix(mountInfo.mount, prefix))
+    .forEach(prefix => queueSearchTask(ctx, { kind: 'list', mount: mountInfo.key, prefix, depth: depthOf(prefix) }));
+  mountInfo.seeds.secrets.forEach(({ prefix, keys }) =>
+    queueSearchTask(ctx, { kind: 'list', mount: mountInfo.key, prefix, depth: depthOf(prefix), keys })
+  );
+}
+
+// List one prefix: match paths, queue sub-prefixes and collect secrets for Phase B.
+// Indexed folders answer immediately; stale ones are re-listed in the background.
+// Given keys are taken as the listing, for folders the token may only read some secrets in.
+async function listAllPaths(ctx, mountInfo, prefix, depth, keys = null) {
+  if (depth >= MAX_SEARCH_DEPTH || ctx.signal.aborted) return;
+  if (keys) return processListedKeys(ctx, mountInfo, prefix, depth, keys);
+
+  let cached = null;
+  try {
+    if (ctx.useIndex) cached = await getIndexedPrefix(mountInfo.indexKey, mountInfo.mount, prefix);
   } catch (e) {
-    // Skip paths we can't list
+    // Index unavailable - fall back to listing
   }
 
-  return paths;
-}// Check if mount is KV2
-const kv2Cache = new Map();
-async function checkIfKv2(vaultUrl, token, namespace, mount) {
-  if (kv2Cache.has(mount)) {
-    return kv2Cache.get(mount);
+  if (cached) {
+    await processListedKeys(ctx, mountInfo, prefix, depth, cached.keys);
+    if (isPrefixStale(cached)) {
+      queueSearchTask(ctx, { kind: 'refresh', mount: mountInfo.key, prefix, depth, cached });
+    }
+    return;
   }
 
+  const listed = await listPrefixKeys(ctx, mountInfo, prefix, null);
+  if (listed) await processListedKeys(ctx, mountInfo, prefix, depth, listed);
+}
+
+// Re-list a stale folder, handling only what changed since it was indexed
+async function refreshPrefix(ctx, mountInfo, prefix, depth, cached) {
+  const keys = await listPrefixKeys(ctx, mountInfo, prefix, cached);
+  if (!keys) return;
+
+  const previous = new Set(cached.keys);
+  const current = new Set(keys);
+  const added = keys.filter(k => !previous.has(k));
+  const removed = cached.keys.filter(k => !current.has(k));
+
+  await processListedKeys(ctx, mountInfo, prefix, depth, added);
+
+  for (const key of removed) {
+    const removedPath = `${mountInfo.key}${prefix}${key}`.replace(/\/$/, '');
+    if (key.endsWith('/')) {
+      await deleteIndexedSubtree(mountInfo.indexKey, mountInfo.mount, prefix + key).catch(() => {});
+    }
+    if (ctx.searchState) {
+      const isRemoved = r => r.path === removedPath || r.path.startsWith(`${removedPath}/`) || r.path.startsWith(`${removedPath}@v`);
+      ctx.searchState.results.filter(isRemoved).forEach(r => ctx.resultsByPath.delete(r.path));
+      ctx.searchState.results = ctx.searchState.results.filter(r => !isRemoved(r));
+      emitSearchEvent(ctx.searchId, { type: 'removed', path: removedPath });
+    }
+  }
+}
+
+// LIST one folder from Vault and store it in the path index; null if it can't be listed
+async function listPrefixKeys(ctx, mountInfo, prefix, cached) {
+  const { mount } = mountInfo;
+  const listPath = mountInfo.kv2 ? `${mount}metadata/${prefix}` : `${mount}${prefix}`;
+
+  let response;
   try {
-    const headers = { 'X-Vault-Token': token };
-    if (namespace) headers['X-Vault-Namespace'] = namespace;
+    response = await vaultFetch(ctx, `${encodePath(listPath)}?list=true`, mountInfo.namespace);
+  } catch (e) {
+    // Skip paths we can't list
+    if (!ctx.signal.aborted) ctx.progress.errors++;
+    return null;
+  }
 
-    const response = await fetch(`${vaultUrl}/v1/sys/internal/ui/mounts/${mount}`, { headers });
-    if (response.ok) {
-      const data = await response.json();
-      const isKv2 = data.data?.options?.version === '2';
-      kv2Cache.set(mount, isKv2);
-      return isKv2;
+  if (response.status === 404) {
+    // A KV2 mount that 404s on metadata/ at the root is really KV1
+    if (mountInfo.kv2 && !prefix) {
+      mountInfo.kv2 = false;
+      return listPrefixKeys(ctx, mountInfo, prefix, cached);
     }
+    // The folder is gone (or empty)
+    await deleteIndexedSubtree(mountInfo.indexKey, mount, prefix).catch(() => {});
+    return [];
+  }
+
+  if (!response.ok) {
+    countFailedResponse(ctx, response);
+    return null;
+  }
+
+  const data = await response.json();
+  const keys = data.data?.keys || [];
+
+  try {
+    await putIndexedPrefix(mountInfo.indexKey, mount, prefix, keys, cached?.latestUpdate);
   } catch (e) {
-    // Assume KV1 if we can't determine
+    // Index unavailable - the search itself still works
   }
 
-  kv2Cache.set(mount, false);
-  return false;
+  return keys;
 }
 
-// Search within secret data
-function searchInData(data, term) {
-  const matches = [];
-  const lowerTerm = term.toLowerCase();
+// Match listed keys against the query and fan out into sub-folders.
+// Folders the token can't list and secrets it can't read are dropped before any request is spent on them.
+async function processListedKeys(ctx, mountInfo, prefix, depth, keys) {
+  const { mount, kv2, key: mountKey } = mountInfo;
+  const entries = [];
+
+  for (const key of keys) {
+    const path = prefix + key;
+    const isDirectory = key.endsWith('/');
+    // Remove trailing slash for display
+    const displayPath = isDirectory ? path.slice(0, -1) : path;
+    const entry = { path, displayPath, isDirectory };
+
+    // Index rebuilds only walk the tree
+    if (!ctx.searchState) {
+      entry.descend = isDirectory;
+    } else if (ctx.options.audit) {
+      // Audits check every secret in scope; nothing is a result by its path alone
+      entry.descend = isDirectory && ctx.query.allowsPrefix(mount, path);
+      entry.candidate = !isDirectory && ctx.query.mayMatch(mount, kv2, path);
+    } else {
+      entry.descend = isDirectory && ctx.query.allowsPrefix(mount, path);
+      // true: the path alone matches; null: only a deep read can tell
+      entry.verdict = ctx.query.matchPath(mount, kv2, displayPath);
+      entry.candidate = !isDirectory &&
+        (ctx.options.deepScope === 'candidates' ? ctx.query.pathCandidate(mount, kv2, path) : ctx.query.mayMatch(mount, kv2, path));
+    }
+    if (entry.descend || entry.verdict || entry.candidate) entries.push(entry);
+  }
+
+  const capabilities = await checkEntryCapabilities(ctx, mountInfo, entries);
 
-  function searchObject(obj, path = '') {
-    for (const [key, value] of Object.entries(obj)) {
-      const currentPath = path ? `${path}.${key}` : key;
-      const lowerKey = key.toLowerCase();
-      const valueStr = String(value).toLowerCase();
+  for (const entry of entries) {
+    const { path, displayPath, isDirectory } = entry;
+    const paths = capabilityPaths(mount, kv2, displayPath, isDirectory);
 
-      if (lowerKey.includes(lowerTerm) ||
-          fuzzyMatch(lowerKey, lowerTerm) ||
-          valueStr.includes(lowerTerm) ||
-          fuzzyMatch(valueStr, lowerTerm)) {
-        matches.push(`${currentPath}: ${String(value).substring(0, 100)}`);
+    if (entry.descend) {
+      if (capabilityAllows(capabilities.get(paths.list), 'list')) {
+        queueSearchTask(ctx, { kind: 'list', mount: mountKey, prefix: path, depth: depth + 1 });
+      } else {
+        ctx.progress.denied++;
       }
+    }
 
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        searchObject(value, currentPath);
+    if (entry.verdict) {
+      addPathResult(ctx, mountInfo, displayPath, isDirectory);
+    }
+
+    if (entry.candidate) {
+      // Reading needs read on the data (or, for metadata-only queries, the metadata) path
+      const readPath = ctx.query.needsData || ctx.options.audit ? paths.read : paths.metadata;
+      if (capabilityAllows(capabilities.get(readPath), 'read')) {
+        ctx.candidates.push({ mount: mountKey, path });
+      } else if (!entry.verdict) {
+        ctx.progress.denied++;
       }
     }
   }
+}
+
+// Capabilities of the listing, reading and metadata paths of listed entries, in one batched lookup
+function checkEntryCapabilities(ctx, mountInfo, entries) {
+  const paths = new Set();
+  for (const { displayPath, isDirectory } of entries) {
+    Object.values(capabilityPaths(mountInfo.mount, mountInfo.kv2, displayPath, isDirectory)).forEach(p => paths.add(p));
+  }
+  return capabilityChecker(ctx, mountInfo.namespace).check([...paths]);
+}
+
+// One batching checker per namespace, see capabilities.js
+function capabilityChecker(ctx, namespace = ctx.namespace) {
+  const key = namespace || '';
+  if (!ctx.capabilityCheckers.has(key)) {
+    ctx.capabilityCheckers.set(key, createCapabilityChecker(async paths => {
+      const response = await vaultFetch(ctx, 'sys/capabilities-self', namespace, { method: 'POST', body: JSON.stringify({ paths }) });
+      if (!response.ok) return null;
+      const body = await response.json();
+      return body.data || body;
+    }));
+  }
+  return ctx.capabilityCheckers.get(key);
+}
+
+// What the token may do with a KV result, from capabilities checked while listing
+function resultCapabilities(ctx, mountInfo, secretPath, isDirectory) {
+  const checker = capabilityChecker(ctx, mountInfo.namespace);
+  const paths = capabilityPaths(mountInfo.mount, mountInfo.kv2, secretPath, isDirectory);
+  return isDirectory
+    ? grantedCapabilities(null, checker.get(paths.list))
+    : grantedCapabilities(checker.get(paths.read), checker.get(paths.metadata));
+}
+
+// Record why a path matched, once per path
+function addPathResult(ctx, mountInfo, displayPath, isDirectory) {
+  if (ctx.resultsByPath.has(`${mountInfo.key}${displayPath}`)) return;
+  updateSearchResult(ctx, mountInfo, displayPath, isDirectory, result => {
+    setPathMatches(result, ctx.query.explainPath(mountInfo.mount, displayPath));
+  });
+}
+
+// Drop a result the deep read ruled out after its path was listed as a match
+function retractSearchResult(ctx, resultPath) {
+  const result = ctx.resultsByPath.get(resultPath);
+  if (!result) return;
+  ctx.resultsByPath.delete(resultPath);
+  ctx.searchState.results = ctx.searchState.results.filter(r => r !== result);
+  emitSearchEvent(ctx.searchId, { type: 'removed', path: resultPath, exact: true });
+}
+
+// Create or update the one result of a KV path
+function updateSearchResult(ctx, mountInfo, secretPath, isDirectory, update) {
+  const { mount, kv2, namespace } = mountInfo;
+  upsertSearchResult(ctx, {
+    mount,
+    secretPath,
+    kv2,
+    isDirectory,
+    url: kvUiUrl(ctx.vaultUrl, mount, secretPath, { kv2, isDirectory, namespace }),
+    namespace,
+    namespaceLabel: mountInfo.namespaceLabel
+  }, result => {
+    setResultCapabilities(result, resultCapabilities(ctx, mountInfo, secretPath, isDirectory));
+    update(result);
+  });
+}
+
+// Create or update a result (fields as for createSearchResult) and push it to connected pages
+function upsertSearchResult(ctx, fields, update) {
+  const created = createSearchResult(fields);
+  let result = ctx.resultsByPath.get(created.path);
+  if (!result) {
+    result = created;
+    ctx.resultsByPath.set(result.path, result);
+    ctx.searchState.results.push(result);
+  }
+  update(result);
+  emitSearchEvent(ctx.searchId, { type: 'result', result });
+}
+
+// Read a secret (and its KV2 metadata when the query asks about it) and match it
+async function searchSecret(ctx, mountInfo, path) {
+  const { mount, kv2 } = mountInfo;
+  const facts = { mount, kv2, path };
+  // History mode needs the versions map, and only key/value clauses can differ between versions
+  const history = ctx.options.searchHistory && kv2 && ctx.query.needsData;
+
+  if (ctx.query.needsMetadata || history) {
+    facts.metadata = kv2 ? await readSecretMetadata(ctx, mountInfo, path) : null;
+    // Metadata alone may rule the secret out, saving the data read
+    if (ctx.query.evaluate(facts) === false) return;
+  }
+
+  if (history) await searchSecretHistory(ctx, mountInfo, path, facts.metadata);
+
+  if (ctx.query.needsData) {
+    facts.data = await readSecretData(ctx, mountInfo, path);
+    if (!facts.data) return;
+  }
+
+  const matches = ctx.query.matchSecret(facts);
+  if (!matches) {
+    retractSearchResult(ctx, `${mountInfo.key}${path}`);
+    return;
+  }
+
+  // Matched on path, mount or negated clauses only, e.g. `path:prod/* -value:changeme`
+  if (!matches.length) {
+    addPathResult(ctx, mountInfo, path, false);
+    return;
+  }
+
+  updateSearchResult(ctx, mountInfo, path, false, result => {
+    setPathMatches(result, ctx.query.explainPath(mount, path));
+    setDataMatches(result, matches);
+    setResultMetadata(result, facts.metadata);
+  });
+}
+
+// Check a secret in an audit: the query (if any) picks the secrets, the rules of audit.js make the findings
+async function auditListedSecret(ctx, mountInfo, path) {
+  const { mount, kv2 } = mountInfo;
+  const facts = { mount, kv2, path };
+  facts.metadata = kv2 ? await readSecretMetadata(ctx, mountInfo, path) : null;
+  facts.data = await readSecretData(ctx, mountInfo, path);
+  if (!facts.data || !ctx.query.evaluate(facts)) return;
+
+  const findings = auditSecret(facts, ctx.options.audit);
+  if (!findings.length) return;
+  updateSearchResult(ctx, mountInfo, path, false, result => {
+    setResultMetadata(result, facts.metadata);
+    setAuditFindings(result, findings);
+  });
+}
+
+// Match the older readable versions of a secret, reporting each as path@vN.
+// The current version counts towards maxVersions and is matched by the caller.
+async function searchSecretHistory(ctx, mountInfo, path, metadata) {
+  if (!metadata) return;
+  const versions = readableSecretVersions(metadata, ctx.options.maxVersions)
+    .filter(({ version }) => version !== metadata.current_version);
+
+  for (const { version, createdTime } of versions) {
+    if (ctx.signal.aborted) return;
+    const data = await readSecretData(ctx, mountInfo, path, version);
+    if (!data) continue;
+
+    const matches = ctx.query.matchSecret({ mount: mountInfo.mount, kv2: true, path, data, metadata });
+    // Metadata is shared by all versions; report a version only for its own keys and values
+    if (!matches?.some(m => m.on !== 'metadata')) continue;
+
+    upsertSearchResult(ctx, {
+      mount: mountInfo.mount,
+      secretPath: path,
+      kv2: true,
+      url: kvUiUrl(ctx.vaultUrl, mountInfo.mount, path, { kv2: true, version, namespace: mountInfo.namespace }),
+      version,
+      versionCreatedTime: createdTime,
+      namespace: mountInfo.namespace,
+      namespaceLabel: mountInfo.namespaceLabel
+    }, result => {
+      setPathMatches(result, ctx.query.explainPath(mountInfo.mount, path));
+      setDataMatches(result, matches);
+      setResultMetadata(result, metadata);
+      setResultCapabilities(result, resultCapabilities(ctx, mountInfo, path, false));
+    });
+  }
+}
+
+// List one endpoint of a non-KV engine and match its names like paths, e.g. database/roles/payments-ro
+async function searchEngineList(ctx, mountInfo, list) {
+  const { mount, engine, namespace } = mountInfo;
+  const source = ENGINE_ADAPTERS[engine].lists.find(s => s.list === list);
+
+  let listing;
+  try {
+    const response = await vaultFetch(ctx, `${encodePath(`${mount}${list}`)}?list=true`, namespace);
+    if (!response.ok) {
+      countFailedResponse(ctx, response);
+      return;
+    }
+    listing = await response.json();
+  } catch (e) {
+    if (!ctx.signal.aborted) ctx.progress.errors++;
+    return;
+  }
 
-  searchObject(data);
-  return matches;
+  // Names only: key/value and metadata clauses can't match here
+  const matched = engineListItems(source, listing)
+    .filter(item => ctx.query.matchSecret({ mount, kv2: false, engine, path: item.secretPath, data: {}, metadata: null }));
+  const itemPath = item => `${mount}${list}/${item.id}`;
+  const capabilities = await capabilityChecker(ctx, namespace).check(matched.map(itemPath));
+
+  for (const item of matched) {
+    upsertSearchResult(ctx, {
+      mount,
+      secretPath: item.secretPath,
+      kv2: false,
+      url: engineItemUiUrl(ctx.vaultUrl, mount, source, item.id, namespace),
+      engine,
+      itemKind: source.kind,
+      namespace,
+      namespaceLabel: mountInfo.namespaceLabel
+    }, result => {
+      setPathMatches(result, ctx.query.explainPath(mount, item.secretPath));
+      setResultCapabilities(result, grantedCapabilities(capabilities.get(itemPath(item))));
+    });
+  }
 }
 
-// Fuzzy match helper
-function fuzzyMatch(str, pattern) {
-  if (pattern.length > str.length) return false;
-  if (pattern === str) return true;
+// Secret data (a given KV2 version, or the latest), or undefined if it can't be read
+async function readSecretData(ctx, mountInfo, path, version) {
+  const { mount, kv2 } = mountInfo;
+  const dataPath = kv2 ? `${mount}data/${path}` : `${mount}${path}`;
+  const versionQuery = version ? `?version=${version}` : '';
 
-  let patternIdx = 0;
-  let strIdx = 0;
+  try {
+    const response = await vaultFetch(ctx, encodePath(dataPath) + versionQuery, mountInfo.namespace);
+    if (!response.ok) {
+      countFailedResponse(ctx, response);
+      return undefined;
+    }
+    const secretData = await response.json();
+    if (kv2) noteSecretUpdate(ctx, mountInfo, path, secretData.data?.metadata?.created_time);
+    return kv2 ? secretData.data?.data : secretData.data;
+  } catch (e) {
+    // Skip secrets we can't read
+    if (!ctx.signal.aborted) ctx.progress.errors++;
+    return undefined;
+  }
+}
 
-  while (patternIdx < pattern.length && strIdx < str.length) {
-    if (pattern[patternIdx] === str[strIdx]) {
-      patternIdx++;
+// KV2 metadata (timestamps, versions, custom_metadata), or null if it can't be read
+async function readSecretMetadata(ctx, mountInfo, path) {
+  try {
+    const response = await vaultFetch(ctx, encodePath(`${mountInfo.mount}metadata/${path}`), mountInfo.namespace);
+    if (!response.ok) {
+      countFailedResponse(ctx, response);
+      return null;
     }
-    strIdx++;
+    const metadata = (await response.json()).data || null;
+    if (metadata) noteSecretUpdate(ctx, mountInfo, path, metadata.updated_time);
+    return metadata;
+  } catch (e) {
+    if (!ctx.signal.aborted) ctx.progress.errors++;
+    return null;
   }
+}
 
-  return patternIdx === pattern.length;
+// Track the newest KV2 write per folder so quiet folders are re-listed less often
+function noteSecretUpdate(ctx, mountInfo, path, createdTime) {
+  const time = Date.parse(createdTime);
+  if (!time) return;
+  if (!ctx.latestUpdates.has(mountInfo.indexKey)) ctx.latestUpdates.set(mountInfo.indexKey, new Map());
+  const latestByFolder = ctx.latestUpdates.get(mountInfo.indexKey);
+  const folder = `${mountInfo.mount}\n${path.slice(0, path.lastIndexOf('/') + 1)}`;
+  if (time > (latestByFolder.get(folder) || 0)) {
+    latestByFolder.set(folder, time);
+  }
 }
 
+// Rebuild the path index for the connected server from scratch. Kept awake like a search; a
+// rebuild that doesn't finish leaves the index without its meta record, so it counts as not
+// built and the listings made so far are just a partial cache.
+async function handleRebuildIndex() {
+  const auth = getAuthData();
+  if (!auth.authenticated) {
+    return { success: false, error: 'Not authenticated' };
+  }
+  if (indexRebuild) {
+    return { success: false, error: 'The path index is already being rebuilt' };
+  }
+
+  const abortController = new AbortController();
+  const ctx = createSearchContext({
+    vaultUrl: auth.vaultUrl,
+    token: auth.token,
+    namespace: auth.namespace,
+    options: normalizeSearchOptions(),
+    signal: abortController.signal
+  });
+  indexRebuild = { indexKey: ctx.indexKey, abortController };
+  updateSearchKeepAlive();
+
+  try {
+    await clearPathIndex(ctx.indexKey);
+    const kvMounts = await listSearchableMounts(ctx);
+    kvMounts.forEach(mount => searchMount(ctx, mount));
+    await ctx.pool.drain();
+    if (!abortController.signal.aborted) {
+      await touchPathIndexMeta(ctx.indexKey, { rebuilt: true });
+      return { success: true, status: await getPathIndexStatus(ctx.indexKey) };
+    }
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      console.error('[Vault Search] Index rebuild error:', error);
+      return { success: false, error: error.message };
+    }
+  } finally {
+    indexRebuild = null;
+    updateSearchKeepAlive();
+  }
+  return { success: false, cancelled: true, error: 'Index rebuild cancelled' };
+}
+
+function handleCancelIndexRebuild() {
+  if (!indexRebuild) {
+    return { success: false, error: 'No index rebuild is running' };
+  }
+  indexRebuild.abortController.abort();
+  console.log('[Vault Search] Index rebuild cancelled');
+  return { success: true };
+}
+
+// Age and size of the path index for the connected server
+async function handleGetIndexStatus() {
+  const auth = getAuthData();
+  if (!auth.authenticated) {
+    return { success: false, error: 'Not authenticated' };
+  }
+
+  try {
+    const indexKey = pathIndexKey(auth.vaultUrl, auth.namespace);
+    return { success: true, status: await getPathIndexStatus(indexKey), rebuilding: indexRebuild?.indexKey === indexKey };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Watched saved searches (saved-searches.js) run headless on an alarm each
+// Create, re-time or clear watch alarms to match the saved searches. Called at startup, since
+// alarms may not survive a browser restart, and whenever the saved searches change.
+async function syncWatchAlarms() {
+  const watched = new Map((await getSavedSearches())
+    .filter(entry => entry.watch)
+    .map(entry => [`${WATCH_ALARM_PREFIX}${entry.name}`, entry.watch]));
+
+  for (const alarm of await chrome.alarms.getAll()) {
+    if (!alarm.name.startsWith(WATCH_ALARM_PREFIX)) continue;
+    if (watched.get(alarm.name)?.intervalMinutes === alarm.periodInMinutes) {
+      watched.delete(alarm.name);
+    } else {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  // A new watch runs within a minute to record what matches now
+  for (const [name, watch] of watched) {
+    chrome.alarms.create(name, {
+      delayInMinutes: watch.lastRunAt ? watch.intervalMinutes : 1,
+      periodInMinutes: watch.intervalMinutes
+    });
+  }
+}
+
+// Run a watched search and compare its matches with the previous run's, notifying about matches
+// that came or went. Only runs while signed in to the search's server and namespace. A run that
+// didn't see everything (budget, errors) reports new matches only: missing ones may not have been reached.
+async function runSavedSearchWatch(name) {
+  const entry = (await getSavedSearches()).find(e => e.name === name);
+  if (!entry?.watch) {
+    return { success: false, error: 'Not a watched search' };
+  }
+  if (runningWatches.has(name)) {
+    return { success: false, error: 'Watch is already running' };
+  }
+
+  const auth = getAuthData();
+  const sameServer = !entry.vaultUrl || entry.vaultUrl.replace(/\/+$/, '') === auth.vaultUrl?.replace(/\/+$/, '');
+  let error = null;
+  if (!auth.authenticated) {
+    error = 'Not authenticated';
+  } else if (!sameServer || (entry.namespace || '') !== (auth.namespace || '')) {
+    error = 'Connected to another server or namespace';
+  }
+  const term = searchEntryQuery(entry);
+  const options = normalizeSearchOptions(entry.options);
+  error = error || validateQuery(term, options);
+  if (error) {
+    await recordWatchRun(entry, { error });
+    return { success: false, error };
+  }
+
+  runningWatches.add(name);
+  updateSearchKeepAlive();
+  // Not in activeSearches: nothing is checkpointed or pushed to clients
+  const searchState = { status: 'running', results: [], progress: createSearchProgress() };
+  const ctx = createSearchContext({
+    vaultUrl: auth.vaultUrl,
+    token: auth.token,
+    namespace: auth.namespace,
+    term,
+    options,
+    signal: new AbortController().signal,
+    searchState,
+    useIndex: false // Quiet folders are re-listed only daily, too late for a watch
+  });
+
+  try {
+    ctx.pendingNamespaces = options.includeNamespaces ? await listNamespaces(ctx) : [auth.namespace || ''];
+    await runSearchPhases(ctx);
+  } catch (runError) {
+    if (!ctx.progress.stoppedBy) error = runError.message;
+  } finally {
+    runningWatches.delete(name);
+    updateSearchKeepAlive();
+  }
+  if (error) {
+    console.error('[Vault Search] Watch error:', name, error);
+    await recordWatchRun(entry, { error });
+    return { success: false, error };
+  }
+
+  const paths = searchState.results.map(r => r.path);
+  const complete = !ctx.progress.stoppedBy && !ctx.progress.errors;
+  const previous = entry.watch.paths ? new Set(entry.watch.paths) : null;
+  const current = new Set(paths);
+  const added = previous ? paths.filter(path => !previous.has(path)) : [];
+  const removed = previous && complete ? [...previous].filter(path => !current.has(path)) : [];
+  // Paths an incomplete run didn't get to stay known, so they don't count as new next time
+  const known = previous && !complete ? [...new Set([...previous, ...paths])] : paths;
+
+  await recordWatchRun(entry, { paths: known, added, removed, resultCount: paths.length });
+  if (added.length || removed.length) notifyWatchChange(name, added, removed);
+  return { success: true, added, removed, resultCount: paths.length };
+}
+
+// Store a run's outcome on the saved search, unless it was changed or deleted meanwhile.
+// A failed run keeps the paths and changes of the last successful one.
+async function recordWatchRun(entry, { error = null, paths, added, removed, resultCount }) {
+  await updateSavedSearch(entry.name, current => {
+    if (!current.watch || !sameSearch(current, entry)) return current;
+    const watch = { ...current.watch, lastRunAt: Date.now(), error };
+    if (error) return { ...current, watch };
+    return { ...current, resultCount, watch: { ...watch, paths, added, removed } };
+  });
+}
+
+// e.g. "2 new: secret/prod/a, secret/prod/b" and "1 gone: secret/prod/c", a line each
+function notifyWatchChange(name, added, removed) {
+  const describe = (label, paths) => {
+    const shown = paths.slice(0, WATCH_NOTIFICATION_PATHS).join(', ');
+    const more = paths.length > WATCH_NOTIFICATION_PATHS ? ` and ${paths.length - WATCH_NOTIFICATION_PATHS} more` : '';
+    return `${paths.length} ${label}: ${shown}${more}`;
+  };
+  const lines = [];
+  if (added.length) lines.push(describe('new', added));
+  if (removed.length) lines.push(describe('gone', removed));
+
+  // One notification per watch; a later change replaces an unread one
+  chrome.notifications.create(`${WATCH_ALARM_PREFIX}${name}`, {
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: `Vault watch: ${name}`,
+    message: lines.join('\n'),
+    priority: 1
+  });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(WATCH_ALARM_PREFIX)) {
+    chrome.action.openPopup();
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+syncWatchAlarms().catch(error => console.error('[Vault Search] Watch alarm error:', error));
+
 // Monitor activity and expire sessions
 let activityCheckInterval = null;
 
@@ -781,6 +1976,10 @@ chrome.contextMenus.onClicked.addListener((info) => {
 // Listen for storage changes (from popup)
 chrome.storage.onChanged.addListener((changes, namespace) => {
   console.log('[Vault Search] Storage changed:', changes);
+  // Watches follow the saved searches, wherever they were edited
+  if (namespace === 'local' && changes[SAVED_SEARCHES_KEY]) {
+    syncWatchAlarms().catch(error => console.error('[Vault Search] Watch alarm error:', error));
+  }
 });
 
 console.log('[Vault Search] Background service worker initialized');
@@ -0,0 +1,165 @@
+/**
+ * Vault Secret Search - Capabilities
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Batched sys/capabilities-self checks, so both search engines can skip folders
+ *              they can't list and secrets they can't read, and show what the token may do
+ *              with each result. For tokens that can't read sys/mounts, the resultant ACL
+ *              (sys/internal/ui/resultant-acl) tells which mounts and folders to start from.
+ */
+
+const CAPABILITY_BATCH_SIZE = 100; // Paths per sys/capabilities-self call
+const CAPABILITY_BATCH_DELAY = 10; // ms to gather paths from concurrent listings into one call
+const RESULT_CAPABILITIES = ['read', 'update', 'delete', 'list'];
+const KV2_API_PREFIX = /^(data|metadata|delete|undelete|destroy|subkeys)(\/|$)/;
+const NON_SECRET_PATHS = /^(sys|auth|identity|cubbyhole)\//; // Never searched, so never looked up
+
+// API paths whose capabilities matter for a listed entry: listing a folder, reading a secret
+// and (KV2) its metadata
+function capabilityPaths(mount, kv2, path, isDirectory) {
+  if (isDirectory) return { list: kv2 ? `${mount}metadata/${path}/` : `${mount}${path}/` };
+  return kv2
+    ? { read: `${mount}data/${path}`, metadata: `${mount}metadata/${path}` }
+    : { read: `${mount}${path}`, metadata: `${mount}${path}` };
+}
+
+// Whether capabilities allow an operation; unknown (null) capabilities allow everything
+function capabilityAllows(capabilities, operation) {
+  if (!capabilities) return true;
+  return capabilities.includes('root') || capabilities.includes(operation);
+}
+
+// The read/update/delete/list flags shown on a result: read, update and delete of the secret
+// itself, list of its metadata (KV2) or folder. null when capabilities weren't checked.
+function grantedCapabilities(secretCapabilities, listCapabilities = secretCapabilities) {
+  if (!secretCapabilities && !listCapabilities) return null;
+  return RESULT_CAPABILITIES.filter(op =>
+    (op === 'list' ? capabilityAllows(listCapabilities, op) : capabilityAllows(secretCapabilities, op))
+  );
+}
+
+// Batches capability lookups. post(paths) resolves to { [path]: capabilities } or null when
+// sys/capabilities-self can't be used, which turns checking off (everything is allowed).
+// A root token is recognised from the first answer and never checked again.
+function createCapabilityChecker(post) {
+  const known = new Map();
+  let pending = new Map(); // path -> resolvers
+  let timer = null;
+  let root = false;
+  let unavailable = false;
+
+  async function flush() {
+    timer = null;
+    const batch = pending;
+    pending = new Map();
+    const paths = [...batch.keys()];
+
+    for (let i = 0; i < paths.length; i += CAPABILITY_BATCH_SIZE) {
+      const chunk = paths.slice(i, i + CAPABILITY_BATCH_SIZE);
+      let answer = null;
+      if (!root && !unavailable) {
+        try {
+          answer = await post(chunk);
+        } catch (e) {
+          answer = null;
+        }
+        if (!answer) unavailable = true;
+      }
+      for (const path of chunk) {
+        const capabilities = lookup(path) || (Array.isArray(answer?.[path]) ? answer[path] : null);
+        if (capabilities) known.set(path, capabilities);
+        if (capabilities?.includes('root')) root = true;
+        batch.get(path).forEach(resolve => resolve(capabilities));
+      }
+    }
+  }
+
+  function lookup(path) {
+    if (root) return ['root'];
+    return known.get(path) || null;
+  }
+
+  return {
+    // Capabilities already known for a path, or null
+    get: lookup,
+
+    // Map of path -> capabilities (null where unknown); calls from concurrent listings share requests
+    async check(paths) {
+      const answers = await Promise.all(paths.map(path => {
+        if (unavailable || root || known.has(path)) return lookup(path);
+        return new Promise(resolve => {
+          if (!pending.has(path)) pending.set(path, []);
+          pending.get(path).push(resolve);
+          if (!timer) timer = setTimeout(flush, CAPABILITY_BATCH_DELAY);
+        });
+      }));
+      return new Map(paths.map((path, i) => [path, answers[i]]));
+    }
+  };
+}
+
+// Paths the resultant ACL grants anything on, as [{ path, glob }]; a glob path covers
+// everything starting with `path` (Vault drops the trailing `*` of glob_paths, some versions keep it)
+function aclGrantedPaths(acl) {
+  const granted = [];
+  for (const [rules, glob] of [[acl?.exact_paths, false], [acl?.glob_paths, true]]) {
+    for (const [path, rule] of Object.entries(rules || {})) {
+      const capabilities = rule?.capabilities || [];
+      if (capabilities.length && !capabilities.includes('deny')) granted.push({ path: path.replace(/\*$/, ''), glob });
+    }
+  }
+  return granted;
+}
+
+// Mounts holding granted paths: Map of mount -> { type, options }. lookup(path) resolves to the
+// sys/internal/ui/mounts/<path> data of the mount holding a path, or null; one lookup per mount.
+async function resolveAclMounts(granted, lookup) {
+  const mounts = new Map();
+  const tried = new Set();
+  for (const { path } of granted) {
+    if (NON_SECRET_PATHS.test(path) || tried.has(path) || [...mounts.keys()].some(m => path.startsWith(m))) continue;
+    tried.add(path);
+    const info = await lookup(path);
+    if (info?.path) mounts.set(info.path.endsWith('/') ? info.path : `${info.path}/`, info);
+  }
+  return mounts;
+}
+
+// Where to walk a mount the ACL grants only parts of, relative to the mount:
+//   { prefixes: ['apps/'], secrets: [{ prefix: 'team/', keys: ['db'] }] }
+// Glob paths and exact folders are listed from their folder, exactly granted secrets are taken
+// as they are (their folder may not be listable); a `+` segment cuts the prefix short there.
+// Nothing covered by another prefix is kept. null when the whole mount is granted.
+function aclSeeds(mount, kv2, granted) {
+  const prefixes = new Set();
+  const secrets = new Set();
+  for (const { path, glob } of granted) {
+    if (!path.startsWith(mount)) continue;
+    let rel = path.slice(mount.length);
+    if (kv2) rel = rel.replace(KV2_API_PREFIX, '');
+    const segments = rel.split('/');
+    const wildcard = segments.findIndex(segment => segment.includes('+'));
+    if (wildcard !== -1) {
+      prefixes.add(segments.slice(0, wildcard).map(segment => `${segment}/`).join(''));
+    } else if (glob || rel.endsWith('/') || !rel) {
+      prefixes.add(rel.slice(0, rel.lastIndexOf('/') + 1));
+    } else {
+      secrets.add(rel);
+    }
+  }
+  if (prefixes.has('')) return null;
+
+  // Sorted, a prefix comes before everything it covers
+  const kept = [];
+  [...prefixes].sort().forEach(prefix => {
+    if (!kept.some(p => prefix.startsWith(p))) kept.push(prefix);
+  });
+  const byFolder = new Map();
+  for (const secret of secrets) {
+    if (kept.some(p => secret.startsWith(p))) continue;
+    const folder = secret.slice(0, secret.lastIndexOf('/') + 1);
+    if (!byFolder.has(folder)) byFolder.set(folder, []);
+    byFolder.get(folder).push(secret.slice(folder.length));
+  }
+  return { prefixes: kept, secrets: [...byFolder].map(([prefix, keys]) => ({ prefix, keys })) };
+}
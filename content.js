@@ -7,27 +7,6 @@
 
 function log(...args){ console.debug("[Vault UI Search]", ...args); }
 
-// Matchers
-function fuzzyRatio(a, b) {
-  const x = (a || "").toLowerCase();
-  const y = (b || "").toLowerCase();
-  if (!x || !y) return 0;
-  const bigrams = s => new Set([...s].map((_, i) => s.slice(i, i + 2)).filter(t => t.length === 2));
-  const xb = bigrams(x), yb = bigrams(y);
-  const inter = [...xb].filter(t => yb.has(t)).length;
-  return (2 * inter) / (xb.size + yb.size || 1);
-}
-function matchText(text, pattern, { mode = "contains", similarity = 0.8, caseInsensitive = false } = {}) {
-  if (!pattern) return false;
-  const T = caseInsensitive ? String(text ?? "").toLowerCase() : String(text ?? "");
-  const P = caseInsensitive ? String(pattern).toLowerCase() : String(pattern);
-  if (mode === "exact") return T === P;
-  if (mode === "contains") return T.includes(P);
-  if (mode === "regex") { try { return new RegExp(pattern, caseInsensitive ? "i" : undefined).test(String(text ?? "")); } catch { return false; } }
-  if (mode === "fuzzy") return fuzzyRatio(T, P) >= similarity;
-  return false;
-}
-
 // URL/namespace
 function getVaultAddrFromLocation() { return window.location.origin; }
 function getNamespaceFromStorage() {
@@ -97,166 +76,472 @@ async function getTokenFromPage(autoOnly=false) {
   throw new Error('Vault token not found. Please configure the extension by clicking its icon.');
 }
 
-// fetch with timeout
-async function fetchJSON(url, token, namespace, { timeoutMs = 10000 } = {}) {
+// fetch through the request scheduler (scheduler.js) of the search, scan or reveal making the request;
+// each operation has its own, so overlapping ones don't share a rate limit or budget
+async function fetchJSON(scheduler, url, token, namespace, { timeoutMs = 10000 } = {}) {
   const headers = {'X-Vault-Token': token};
   if (namespace) headers['X-Vault-Namespace'] = namespace;
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { headers, signal: controller.signal });
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
-    return res.json();
-  } finally {
-    clearTimeout(t);
-  }
+  const res = await scheduler.fetch(url, { headers }, { timeoutMs });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
+  return res.json();
+}
+// sys/capabilities-self for a batch of paths: { [path]: capabilities }, or null if unavailable
+async function postCapabilities(scheduler, base, token, namespace, paths) {
+  const headers = {'X-Vault-Token': token, 'Content-Type': 'application/json'};
+  if (namespace) headers['X-Vault-Namespace'] = namespace;
+  const res = await scheduler.fetch(`${base}/v1/sys/capabilities-self`, { method: 'POST', headers, body: JSON.stringify({ paths }) });
+  if (!res.ok) return null;
+  const body = await res.json();
+  return body.data || body;
 }
 function isKV2(info) { return String(info?.options?.version || '1') === '2'; }
 
-// Mount discovery
-async function listKVMounts(base, token, namespace) {
+// Mount discovery: KV mounts, plus the engines of engines.js when `engines` is set.
+// Without sys/mounts, the token's ACL names the mounts and where to start in them; failing that,
+// mounts linked from the page (or secret/) are assumed. `guess` turns the assuming off.
+async function listSearchMounts(scheduler, base, token, namespace, { engines = false, guess = true } = {}) {
   const uniq = new Map();
+  const known = new Set();
+  const toMount = (path, info) => {
+    if (info?.type === 'kv') return { mount: path, kv2: isKV2(info), engine: 'kv' };
+    if (engines && ENGINE_ADAPTERS[info?.type]) return { mount: path, kv2: false, engine: info.type };
+    return null;
+  };
   try {
-    const data = await fetchJSON(`${base}/v1/sys/mounts`, token, namespace, { timeoutMs: 8000 });
+    const data = await fetchJSON(scheduler, `${base}/v1/sys/mounts`, token, namespace, { timeoutMs: 8000 });
     const mounts = data?.data || data;
     for (const [path, info] of Object.entries(mounts)) {
-      if (info?.type !== 'kv') continue;
-      uniq.set(path, { mount: path, kv2: isKV2(info) });
+      known.add(path);
+      const m = toMount(path, info);
+      if (m) uniq.set(path, m);
     }
-  } catch (e) { log("sys/mounts failed:", e.message); }
+  } catch (e) {
+    log("sys/mounts failed:", namespace || '(root)', e.message);
+    const fromAcl = await listAclMounts(scheduler, base, token, namespace, toMount);
+    if (fromAcl.length) return fromAcl;
+  }
+  if (!guess) return [...uniq.values()];
+  // Mounts linked from the page that sys/mounts didn't show us are assumed to be KV2
   const anchors = [...document.querySelectorAll('a[href*="/ui/vault/secrets/"]')];
   for (const a of anchors) {
     const m = a.getAttribute("href").match(/\/ui\/vault\/secrets\/([^/]+)\//);
-    if (m && m[1]) uniq.set(`${m[1]}/`, { mount: `${m[1]}/`, kv2: true });
+    if (m && m[1] && !known.has(`${m[1]}/`)) uniq.set(`${m[1]}/`, { mount: `${m[1]}/`, kv2: true, engine: 'kv' });
   }
-  if (!uniq.size) uniq.set("secret/", { mount: "secret/", kv2: true });
+  if (!uniq.size) uniq.set("secret/", { mount: "secret/", kv2: true, engine: 'kv' });
   return [...uniq.values()];
 }
 
+// Mounts of the token's resultant ACL with the folders and secrets to start from (aclSeeds)
+async function listAclMounts(scheduler, base, token, namespace, toMount) {
+  let granted;
+  try { granted = aclGrantedPaths((await fetchJSON(scheduler, `${base}/v1/sys/internal/ui/resultant-acl`, token, namespace, { timeoutMs: 8000 }))?.data); }
+  catch (e) { log("resultant-acl failed:", namespace || '(root)', e.message); return []; }
+  const found = await resolveAclMounts(granted, path =>
+    fetchJSON(scheduler, `${base}/v1/sys/internal/ui/mounts/${path.split('/').map(encodeURIComponent).join('/')}`, token, namespace, { timeoutMs: 8000 })
+      .then(res => res?.data, () => null));
+  const mounts = [];
+  for (const [path, info] of found) {
+    const m = toMount(path, info);
+    if (!m) continue;
+    if (m.engine === 'kv') m.seeds = aclSeeds(path, m.kv2, granted);
+    mounts.push(m);
+  }
+  return mounts;
+}
+
+// Child namespaces below `namespace`, breadth first: [{ namespace, label }], label relative to it.
+// Namespaces whose children can't be listed are not descended into.
+async function listChildNamespaces(scheduler, base, token, namespace) {
+  const root = (namespace || '').replace(/^\/+|\/+$/g, '');
+  const found = [];
+  const queue = [{ namespace: root, label: '' }];
+  while (queue.length) {
+    const parent = queue.shift();
+    let keys = [];
+    try { keys = (await fetchJSON(scheduler, `${base}/v1/sys/namespaces?list=true`, token, parent.namespace, { timeoutMs: 8000 }))?.data?.keys || []; }
+    catch (e) { if (!String(e.message).startsWith("404")) log("namespace list failed:", parent.namespace || '(root)', e.message); continue; }
+    for (const key of keys) {
+      const name = key.replace(/\/$/, '');
+      const child = {
+        namespace: parent.namespace ? `${parent.namespace}/${name}` : name,
+        label: parent.label ? `${parent.label}/${name}` : name
+      };
+      found.push(child);
+      queue.push(child);
+    }
+  }
+  return found;
+}
+
 // List/read helpers
-async function listKV(base, token, mount, kv2, prefix = '', namespace) {
+async function listKV(scheduler, base, token, mount, kv2, prefix = '', namespace) {
   const enc = encodeURIComponent(prefix);
   const url = kv2 ? `${base}/v1/${mount}metadata/${enc}?list=true` : `${base}/v1/${mount}${enc}?list=true`;
   try {
-    const json = await fetchJSON(url, token, namespace, { timeoutMs: 8000 });
+    const json = await fetchJSON(scheduler, url, token, namespace, { timeoutMs: 8000 });
     return { keys: json?.data?.keys || [] };
   } catch (e) {
     if (String(e.message).startsWith("404") && kv2) return { _flip_to_kv1: true, keys: [] };
-    if (String(e.message).startsWith("403")) return { keys: [] };
+    if (String(e.message).startsWith("403")) return { keys: [], denied: true };
     throw e;
   }
 }
-async function readKV(base, token, mount, kv2, path, namespace) {
+async function readKV(scheduler, base, token, mount, kv2, path, namespace, version) {
   const enc = encodeURIComponent(path);
-  const url = kv2 ? `${base}/v1/${mount}data/${enc}` : `${base}/v1/${mount}${enc}`;
+  const url = kv2 ? `${base}/v1/${mount}data/${enc}${version ? `?version=${version}` : ''}` : `${base}/v1/${mount}${enc}`;
   try {
-    const json = await fetchJSON(url, token, namespace, { timeoutMs: 10000 });
+    const json = await fetchJSON(scheduler, url, token, namespace, { timeoutMs: 10000 });
     return kv2 ? (json?.data?.data || {}) : (json?.data || {});
   } catch (e) {
-    if (String(e.message).startsWith("404") && kv2) {
-      const json = await fetchJSON(`${base}/v1/${mount}${enc}`, token, namespace, { timeoutMs: 10000 });
+    if (String(e.message).startsWith("404") && kv2 && !version) {
+      const json = await fetchJSON(scheduler, `${base}/v1/${mount}${enc}`, token, namespace, { timeoutMs: 10000 });
       return json?.data || {};
     }
     throw e;
   }
 }
 
-// Utils
-function traverseForMatches(data, term, opts, maxDepth, keyMatches, valueMatches, jsonPath = '', depth = 0) {
-  if (depth > maxDepth) return;
-  if (data && typeof data === 'object' && !Array.isArray(data)) {
-    for (const [k, v] of Object.entries(data)) {
-      const np = jsonPath ? `${jsonPath}.${k}` : k;
-      if (matchText(k, term, opts)) keyMatches.push({ jsonPath: np, value: v });
-      if (typeof v !== 'object' || v === null) {
-        if (matchText(String(v), term, opts)) valueMatches.push({ jsonPath: np, value: v });
-      } else {
-        traverseForMatches(v, term, opts, maxDepth, keyMatches, valueMatches, np, depth + 1);
-      }
-    }
-  } else if (Array.isArray(data)) {
-    data.forEach((item, i) => {
-      const np = `${jsonPath}[${i}]`;
-      if (typeof item !== 'object' || item === null) {
-        if (matchText(String(item), term, opts)) valueMatches.push({ jsonPath: np, value: item });
-      } else {
-        traverseForMatches(item, term, opts, maxDepth, keyMatches, valueMatches, np, depth + 1);
-      }
-    });
+// KV2 metadata: timestamps, versions and custom_metadata
+async function readKVMetadata(scheduler, base, token, mount, path, namespace) {
+  const json = await fetchJSON(scheduler, `${base}/v1/${mount}metadata/${encodeURIComponent(path)}`, token, namespace, { timeoutMs: 10000 });
+  return json?.data || null;
+}
+
+// Values at some JSON paths of a result's secret, read again for an explicit reveal (whole values
+// with `full`, for exports), and where the compiled `query` matched them: { values, ranges }.
+// Results themselves only hold masked values. An export reading many secrets passes one
+// scheduler for all of them.
+async function revealMatchValues(auth, result, jsonPaths, { full = false, query = null, scheduler = createRequestScheduler() } = {}) {
+  const data = await readKV(scheduler, auth.base, auth.token, result.mount, result.kv2, result.secretPath, result.namespace, result.version);
+  return { values: readMatchValues(data, jsonPaths, { full }), ranges: query ? query.valueRanges(data, jsonPaths) : {} };
+}
+
+// Progress counters shared by searches and duplicate scans
+function createScanProgress() {
+  return { phase: 'list', startedAt: Date.now(), totalMounts: 0, mountsDone: 0, foldersQueued: 0, foldersListed: 0, secretsQueued: 0, secretsRead: 0, denied: 0, errors: 0, requests: 0, retries: 0, stoppedBy: null };
+}
+
+// The request scheduler of one search or scan, and stopped(), which turns true on cancel and
+// when the request or time budget runs out (partial results)
+function startRequestScheduler(progress, signal, { maxRequestsPerSecond, maxRequests, maxSeconds }) {
+  const stop = new AbortController();
+  if (signal?.aborted) stop.abort();
+  signal?.addEventListener('abort', () => stop.abort());
+  const scheduler = createRequestScheduler({
+    maxPerSecond: maxRequestsPerSecond, maxRequests, maxSeconds, startedAt: progress.startedAt,
+    onRequest: () => progress.requests++,
+    onRetry: () => progress.retries++,
+    onExhausted: reason => { progress.stoppedBy = reason; stop.abort(); }
+  });
+  return { scheduler, stopped: () => stop.signal.aborted };
+}
+
+// Mounts of the starting namespace and, if asked, of every child namespace
+async function listScanMounts(scheduler, base, token, namespace, { includeNamespaces = false, searchEngines = false } = {}) {
+  const namespaces = [{ namespace: namespace || '', label: '' }];
+  if (includeNamespaces) namespaces.push(...await listChildNamespaces(scheduler, base, token, namespace));
+  const mounts = [];
+  for (const ns of namespaces) {
+    // Only the starting namespace falls back to guessed mounts; unlistable children are skipped
+    const found = await listSearchMounts(scheduler, base, token, ns.namespace, { engines: searchEngines, guess: !ns.label });
+    for (const m of found) mounts.push({ ...m, namespace: ns.namespace, label: ns.label, key: ns.label ? `${ns.label}/${m.mount}` : m.mount });
   }
+  return mounts;
 }
 
-// Two-phase search: Phase A (path-only), Phase B (deep read on candidates)
-async function universalSearch({ base, token, term, match = 'contains', similarity = 0.8, caseInsensitive = true, maxDepth = 10, showAll = false, signal, namespace, workers = 48, mountFilter = '', prefixFilter = '' , onYield }) {
-  const mounts = await listKVMounts(base, token, namespace);
-  const kvVersionMap = new Map(mounts.map(m => [m.mount, m.kv2]));
+// Two-phase search: Phase A (path-only), Phase B (deep read on candidates).
+// Mounts are objects { mount, kv2, engine, namespace, label, key }; key tells namespaces apart.
+async function universalSearch({ base, token, term, match = 'contains', similarity = 0.8, caseInsensitive = true, searchMetadata = false, searchHistory = false, maxVersions = DEFAULT_HISTORY_VERSIONS, searchEngines = false, includeNamespaces = false, maxDepth = 10, showAll = false, signal, namespace, workers = 48, maxRequestsPerSecond = DEFAULT_REQUESTS_PER_SECOND, maxRequests = 0, maxSeconds = 0, mountFilter = '', prefixFilter = '' , onYield, onRemove, onProgress }) {
+  // Progress counters; a mount is done once nothing is queued or running for it in Phase B
+  const progress = createScanProgress();
+  const { scheduler, stopped } = startRequestScheduler(progress, signal, { maxRequestsPerSecond, maxRequests, maxSeconds });
+  const mounts = await listScanMounts(scheduler, base, token, namespace, { includeNamespaces, searchEngines });
   const pathCandidates = []; // Phase A output
   const seenPaths = new Set();
-  const opts = { mode: match, similarity, caseInsensitive };
+  const resultsByPath = new Map(); // One merged result per secret, see results.js
+  const opts = { mode: match, similarity, caseInsensitive, searchMetadata };
+  const query = compileQuery(term, opts);
 
-  const applyMount = (m) => !mountFilter || m.mount.startsWith(mountFilter);
-  const applyPrefix = (p) => !prefixFilter || p.startsWith(prefixFilter);
+  // The filter fields and the query's mount:/path: clauses both narrow the walk
+  const applyMount = (m) => (!mountFilter || m.mount.startsWith(mountFilter)) && query.allowsMount(m.mount, m.kv2, m.engine);
+  const applyPrefix = (m, p) => prefixCompatible(p, prefixFilter) && query.allowsPrefix(m.mount, p);
 
   // Use provided base URL or fall back to location
   const effectiveBase = base || getVaultAddrFromLocation();
 
+  // One batching capability checker per namespace (capabilities.js)
+  const checkers = new Map();
+  const checker = (m) => {
+    if (!checkers.has(m.namespace)) checkers.set(m.namespace, createCapabilityChecker(paths => postCapabilities(scheduler, base, token, m.namespace, paths)));
+    return checkers.get(m.namespace);
+  };
+  const capabilitiesOf = (m, path) => {
+    const paths = capabilityPaths(m.mount, m.kv2, path, false);
+    return grantedCapabilities(checker(m).get(paths.read), checker(m).get(paths.metadata));
+  };
+
+  // Create or update a secret's result (or one older version's, see readVersions) and stream it to the UI
+  const updateResult = (m, path, update, { version = null, createdTime = null } = {}) => {
+    let result = resultsByPath.get(version ? `${m.key}${path}@v${version}` : `${m.key}${path}`);
+    if (!result) {
+      const url = kvUiUrl(effectiveBase, m.mount, path, { kv2: m.kv2, version, namespace: m.namespace });
+      result = createSearchResult({ mount: m.mount, secretPath: path, kv2: m.kv2, url, version, versionCreatedTime: createdTime, namespace: m.namespace, namespaceLabel: m.label });
+      resultsByPath.set(result.path, result);
+    }
+    update(result);
+    setResultCapabilities(result, capabilitiesOf(m, path));
+    onYield && onYield(result);
+  };
+
+  const mountPending = new Map();
+  const report = () => onProgress && onProgress({ ...progress });
+  const track = (m, delta) => {
+    const left = (mountPending.get(m.key) || 0) + delta;
+    mountPending.set(m.key, left);
+    if (!left && progress.phase === 'read') progress.mountsDone++;
+  };
+
   // PHASE A: list-only, path prefilter (super fast)
   const listQueue = [];
-  for (const m of mounts) if (applyMount(m)) listQueue.push({ mount: m.mount, prefix: '' });
+  const queueList = (m, prefix, { source, keys } = {}) => { listQueue.push({ m, prefix, source, keys }); progress.foldersQueued++; track(m, 1); };
+  for (const m of mounts) {
+    if (!applyMount(m)) continue;
+    progress.totalMounts++;
+    if (m.engine !== 'kv') ENGINE_ADAPTERS[m.engine].lists.forEach(source => queueList(m, '', { source }));
+    else if (!m.seeds) queueList(m, '');
+    else {
+      // ACL-scoped token: start at the folders it may list, take single granted secrets as listed
+      m.seeds.prefixes.forEach(prefix => queueList(m, prefix));
+      m.seeds.secrets.forEach(({ prefix, keys }) => queueList(m, prefix, { keys }));
+    }
+  }
+  report();
 
   async function listWorker() {
     while (listQueue.length) {
-      if (signal?.aborted) return;
-      const { mount, prefix } = listQueue.shift();
-      if (!applyPrefix(prefix)) continue;
-      let kv2 = kvVersionMap.get(mount);
-      let listed;
-      try { listed = await listKV(base, token, mount, kv2, prefix, namespace); }
-      catch(e){ log("listKV error", mount, prefix, e.message); continue; }
-      if (listed._flip_to_kv1) { kvVersionMap.set(mount, false); kv2 = false; listed.keys = []; }
-      for (const k of listed.keys) {
-        if (k.endsWith('/')) { listQueue.push({ mount, prefix: `${prefix}${k}` }); continue; }
-        const fullPath = `${mount}${prefix}${k}`;
-        const segments = fullPath.split('/').filter(Boolean);
-        let matched = matchText(fullPath, term, opts);
-        if (!matched) for (const seg of segments) { if (matchText(seg, term, opts)) { matched = true; break; } }
-        if (matched && !seenPaths.has(fullPath)) {
-          seenPaths.add(fullPath);
-          pathCandidates.push({ mount, kv2, path: `${prefix}${k}`, fullPath });
-          // stream candidate to UI quickly
-          onYield && onYield({ type: "path", mount, kv2, path: `${prefix}${k}`, fullPath });
-        }
-      }
+      if (stopped()) return;
+      const { m, prefix, source, keys } = listQueue.shift();
+      try { await (source ? listEngine(m, source) : listPrefix(m, prefix, keys)); }
+      finally { progress.foldersListed++; track(m, -1); report(); }
+    }
+  }
+  async function listPrefix(m, prefix, keys) {
+    if (!applyPrefix(m, prefix)) return;
+    let listed;
+    try { listed = keys ? { keys } : await listKV(scheduler, base, token, m.mount, m.kv2, prefix, m.namespace); }
+    catch(e){ log("listKV error", m.key, prefix, e.message); if (!stopped()) progress.errors++; return; }
+    if (listed.denied) progress.denied++;
+    if (listed._flip_to_kv1) { m.kv2 = false; listed.keys = []; }
+    const folders = [], files = [];
+    for (const k of listed.keys) {
+      if (k.endsWith('/')) { folders.push(`${prefix}${k}`); continue; }
+      const path = `${prefix}${k}`;
+      const fullPath = `${m.key}${path}`;
+      if (prefixFilter && !path.startsWith(prefixFilter)) continue;
+      // Like the popup's "candidates" scope, Phase B reads only secrets a plain term matched by path
+      // (key:/value: clauses still get read); verdict true is a path match in its own right
+      if (!query.pathCandidate(m.mount, m.kv2, path) || seenPaths.has(fullPath)) continue;
+      const verdict = query.matchPath(m.mount, m.kv2, path);
+      seenPaths.add(fullPath);
+      files.push({ path, fullPath, verdict });
+    }
+    // Skip folders the token can't list and secrets it can't read, in one capability lookup
+    const listPath = (folder) => capabilityPaths(m.mount, m.kv2, folder.slice(0, -1), true).list;
+    const readPath = (path) => capabilityPaths(m.mount, m.kv2, path, false)[query.needsData ? 'read' : 'metadata'];
+    const caps = await checker(m).check([
+      ...folders.map(listPath),
+      ...files.flatMap(({ path }) => Object.values(capabilityPaths(m.mount, m.kv2, path, false)))
+    ]);
+    for (const folder of folders) {
+      if (capabilityAllows(caps.get(listPath(folder)), 'list')) queueList(m, folder);
+      else progress.denied++;
+    }
+    for (const { path, fullPath, verdict } of files) {
+      if (capabilityAllows(caps.get(readPath(path)), 'read')) pathCandidates.push({ m, path, fullPath, pathMatched: verdict });
+      else if (!verdict) { progress.denied++; continue; }
+      // stream candidate to UI quickly
+      if (verdict) updateResult(m, path, r => setPathMatches(r, query.explainPath(m.mount, path)));
+    }
+  }
+  // Other engines: names only, matched like paths (e.g. transit/keys/payments-key), no Phase B
+  async function listEngine(m, source) {
+    const { mount, engine } = m;
+    let listed;
+    try { listed = await fetchJSON(scheduler, `${base}/v1/${mount}${source.list}?list=true`, token, m.namespace, { timeoutMs: 8000 }); }
+    catch(e) {
+      if (String(e.message).startsWith("403")) progress.denied++;
+      else if (!String(e.message).startsWith("404") && !stopped()) { log("engine list error", m.key, source.list, e.message); progress.errors++; }
+      return;
+    }
+    const matched = engineListItems(source, listed)
+      .filter(item => query.matchSecret({ mount, kv2: false, engine, path: item.secretPath, data: {}, metadata: null }));
+    const itemPath = item => `${mount}${source.list}/${item.id}`;
+    const caps = await checker(m).check(matched.map(itemPath));
+    for (const item of matched) {
+      const result = createSearchResult({
+        mount, secretPath: item.secretPath, kv2: false, url: engineItemUiUrl(effectiveBase, mount, source, item.id, m.namespace),
+        engine, itemKind: source.kind, namespace: m.namespace, namespaceLabel: m.label
+      });
+      resultsByPath.set(result.path, result);
+      setPathMatches(result, query.explainPath(mount, item.secretPath));
+      setResultCapabilities(result, grantedCapabilities(caps.get(itemPath(item))));
+      onYield && onYield(result);
     }
   }
   await Promise.all(Array.from({ length: Math.min(workers, 64) }, () => listWorker()));
 
   // PHASE B: deep scan only on candidates
   const readQueue = pathCandidates.slice();
-  const results = [];
+  progress.phase = 'read';
+  progress.secretsQueued = readQueue.length;
+  for (const { m } of readQueue) track(m, 1);
+  for (const [, left] of mountPending) if (!left) progress.mountsDone++;
+  report();
   async function readWorker() {
     while (readQueue.length) {
-      if (signal?.aborted) return;
-      const { mount, kv2, path, fullPath } = readQueue.shift();
-      let data = {};
-      try { data = await readKV(base, token, mount, kv2, path, namespace); } catch(e) { log("readKV error", fullPath, e.message); }
-      const keyMatches = [], valueMatches = [];
-      traverseForMatches(data, term, opts, maxDepth, keyMatches, valueMatches);
-      if (keyMatches.length || valueMatches.length) {
-        const rec = {
-          mount, path, fullPath, kv2,
-          vaultUrl: `${base}/ui/vault/secrets/${mount.replace(/\/$/, '')}/kv/${encodeURIComponent(path)}`,
-          pathMatches: [`Full path: ${fullPath}`],
-          keyMatches, valueMatches,
-          allData: showAll ? flattenAll(data) : undefined
-        };
-        results.push(rec);
-        onYield && onYield({ type: "deep", ...rec });
+      if (stopped()) return;
+      const { m, path, fullPath, pathMatched } = readQueue.shift();
+      const { mount, kv2 } = m;
+      const facts = { mount, kv2, path };
+      // History mode needs the versions map, and only key/value clauses can differ between versions
+      const history = searchHistory && kv2 && query.needsData;
+      try {
+        // Metadata alone may rule the secret out, saving the data read
+        if (query.needsMetadata || history) {
+          facts.metadata = kv2 ? await readKVMetadata(scheduler, base, token, mount, path, m.namespace).catch(() => null) : null;
+        }
+        if (history && facts.metadata) await readVersions(m, path, facts.metadata);
+        if (query.needsData && query.evaluate(facts) !== false) {
+          facts.data = await readKV(scheduler, base, token, mount, kv2, path, m.namespace);
+        }
       }
+      catch(e) {
+        log("readKV error", fullPath, e.message);
+        if (String(e.message).startsWith("403")) progress.denied++;
+        else if (!stopped()) progress.errors++;
+        continue;
+      }
+      finally { progress.secretsRead++; track(m, -1); report(); }
+      const matches = query.matchSecret(facts, maxDepth);
+      if (!matches) {
+        // Streamed as a path match, ruled out by the read
+        if (pathMatched && resultsByPath.delete(fullPath)) onRemove && onRemove(fullPath);
+        continue;
+      }
+      // Secrets matched on path/mount clauses alone were only held back for their negations
+      if (!matches.length && pathMatched) continue;
+      updateResult(m, path, r => {
+        setPathMatches(r, query.explainPath(mount, path));
+        setDataMatches(r, matches);
+        setResultMetadata(r, facts.metadata);
+        if (showAll && facts.data) r.allData = flattenAll(facts.data);
+      });
+    }
+  }
+  // Older readable versions of a secret, newest first; the current one counts towards maxVersions
+  async function readVersions(m, path, metadata) {
+    const versions = readableSecretVersions(metadata, maxVersions).filter(v => v.version !== metadata.current_version);
+    for (const at of versions) {
+      if (stopped()) return;
+      let data;
+      try { data = await readKV(scheduler, base, token, m.mount, true, path, m.namespace, at.version); }
+      catch(e) { log("readKV error", `${m.key}${path}@v${at.version}`, e.message); continue; }
+      const matches = query.matchSecret({ mount: m.mount, kv2: true, path, data, metadata }, maxDepth);
+      // Metadata is shared by all versions; report a version only for its own keys and values
+      if (!matches?.some(hit => hit.on !== 'metadata')) continue;
+      updateResult(m, path, r => {
+        setPathMatches(r, query.explainPath(m.mount, path));
+        setDataMatches(r, matches);
+        setResultMetadata(r, metadata);
+      }, at);
     }
   }
   await Promise.all(Array.from({ length: Math.min(workers, 64) }, () => readWorker()));
-  return results;
+  progress.finishedAt = Date.now();
+  report();
+  return [...resultsByPath.values()];
+}
+
+// Duplicate scan: read every KV secret in scope and group the keys holding identical values,
+// keeping only salted fingerprints of the values (duplicates.js). In scope are the secrets inside
+// the mount and prefix filters that the query matches, or all of them without a query.
+async function findDuplicateValues({ base, token, term = '', match = 'contains', caseInsensitive = true, searchMetadata = false, includeNamespaces = false, maxDepth = 10, signal, namespace, workers = 48, maxRequestsPerSecond = DEFAULT_REQUESTS_PER_SECOND, maxRequests = 0, maxSeconds = 0, mountFilter = '', prefixFilter = '', onProgress }) {
+  const finder = createDuplicateFinder();
+  const progress = createScanProgress();
+  const { scheduler, stopped } = startRequestScheduler(progress, signal, { maxRequestsPerSecond, maxRequests, maxSeconds });
+  const query = term ? compileQuery(term, { mode: match, caseInsensitive, searchMetadata }) : null;
+  const mounts = (await listScanMounts(scheduler, base, token, namespace, { includeNamespaces }))
+    .filter(m => (!mountFilter || m.mount.startsWith(mountFilter)) && (!query || query.allowsMount(m.mount, m.kv2, m.engine)));
+  const effectiveBase = base || getVaultAddrFromLocation();
+  const report = () => onProgress && onProgress({ ...progress });
+
+  const listQueue = [];
+  const readQueue = [];
+  const queueList = (m, prefix, keys) => { listQueue.push({ m, prefix, keys }); progress.foldersQueued++; };
+  for (const m of mounts) {
+    if (!m.seeds) queueList(m, '');
+    else {
+      m.seeds.prefixes.forEach(prefix => queueList(m, prefix));
+      m.seeds.secrets.forEach(({ prefix, keys }) => queueList(m, prefix, keys));
+    }
+  }
+  progress.totalMounts = mounts.length;
+  report();
+
+  async function listWorker() {
+    while (listQueue.length) {
+      if (stopped()) return;
+      const { m, prefix, keys } = listQueue.shift();
+      try {
+        if (!prefixCompatible(prefix, prefixFilter) || (query && !query.allowsPrefix(m.mount, prefix))) continue;
+        let listed;
+        try { listed = keys ? { keys } : await listKV(scheduler, base, token, m.mount, m.kv2, prefix, m.namespace); }
+        catch(e){ log("listKV error", m.key, prefix, e.message); if (!stopped()) progress.errors++; continue; }
+        if (listed.denied) progress.denied++;
+        if (listed._flip_to_kv1) { m.kv2 = false; listQueue.push({ m, prefix }); progress.foldersQueued++; continue; }
+        for (const k of listed.keys) {
+          const path = `${prefix}${k}`;
+          if (k.endsWith('/')) {
+            if (path.split('/').length - 1 < maxDepth) queueList(m, path);
+          } else if ((!prefixFilter || path.startsWith(prefixFilter)) && (!query || query.mayMatch(m.mount, m.kv2, path))) {
+            readQueue.push({ m, path });
+            progress.secretsQueued++;
+          }
+        }
+      }
+      finally { progress.foldersListed++; report(); }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(workers, 64) }, () => listWorker()));
+  progress.mountsDone = progress.totalMounts;
+
+  progress.phase = 'read';
+  report();
+  async function readWorker() {
+    while (readQueue.length) {
+      if (stopped()) return;
+      const { m, path } = readQueue.shift();
+      const facts = { mount: m.mount, kv2: m.kv2, path };
+      try {
+        if (query?.needsMetadata && m.kv2) facts.metadata = await readKVMetadata(scheduler, base, token, m.mount, path, m.namespace).catch(() => null);
+        facts.data = await readKV(scheduler, base, token, m.mount, m.kv2, path, m.namespace);
+      }
+      catch(e) {
+        log("readKV error", `${m.key}${path}`, e.message);
+        if (String(e.message).startsWith("403")) progress.denied++;
+        else if (!stopped()) progress.errors++;
+        continue;
+      }
+      finally { progress.secretsRead++; report(); }
+      if (query && !query.evaluate(facts)) continue;
+      const url = kvUiUrl(effectiveBase, m.mount, path, { kv2: m.kv2, namespace: m.namespace });
+      await finder.add({ path: `${m.label ? `${m.label}/` : ''}${m.mount}${path}`, url }, flattenAll(facts.data));
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(workers, 64) }, () => readWorker()));
+  progress.finishedAt = Date.now();
+  report();
+  return finder.groups();
 }
 
 function flattenAll(data, prefix = '') {
@@ -294,7 +579,7 @@ function flattenAll(data, prefix = '') {
       </div>
       <div class="row">
         <div class="col">
-          <input class="v-input" id="v-term" placeholder="Search term (path, key name, or value)" />
+          <input class="v-input" id="v-term" placeholder="Search term or query, e.g. mount:team-kv/ path:prod/* key:password" title="Fields: mount: path: key: value: kv: engine:  ·  &quot;phrases&quot;, /regex/, -negation, AND / OR, ( )" />
         </div>
         <div class="col">
           <select class="v-input" id="v-mode">
@@ -306,19 +591,41 @@ function flattenAll(data, prefix = '') {
         </div>
         <div class="col">
           <label class="small"><input type="checkbox" id="v-ci" checked> case-insensitive</label>
+          <label class="small" title="Reads KV2 metadata too; filter with meta.owner:alice, updated:<7d, version:>3, delete_after:none"><input type="checkbox" id="v-meta"> custom metadata</label>
+          <label class="small" title="Reads every non-destroyed KV2 version too; older matches show as path@vN"><input type="checkbox" id="v-history"> older versions</label>
+          <label class="small" title="Also lists transit keys, database roles and connections, PKI roles and issuers, SSH, AWS, Azure and GCP roles, and TOTP keys"><input type="checkbox" id="v-engines"> other engines</label>
+          <label class="small" title="Also searches every child namespace the token can list (Vault Enterprise)"><input type="checkbox" id="v-namespaces"> child namespaces</label>
         </div>
       </div>
       <div class="row">
         <div class="col"><label class="small">Max depth <input class="v-input" id="v-depth" type="number" min="1" max="50" value="10" /></label></div>
         <div class="col"><label class="small">Workers <input class="v-input" id="v-workers" type="number" min="8" max="64" value="48" /></label></div>
+        <div class="col"><label class="small">Versions per secret <input class="v-input" id="v-versions" type="number" min="1" max="100" value="10" /></label></div>
         <div class="col"><label class="small">Mount filter <input class="v-input" id="v-mount" placeholder="e.g., secret/ or team-kv/"/></label></div>
       </div>
       <div class="row">
         <div class="col"><label class="small">Prefix filter <input class="v-input" id="v-prefix" placeholder="e.g., apps/ or prod/"/></label></div>
+        <div class="col"><label class="small">Sort <select class="v-input" id="v-sort" title="Hover a result to see its relevance score"><option value="relevance">relevance</option><option value="path">path (A-Z)</option></select></label></div>
         <div class="col"><span class="small">Phase A: path-only (instant). Phase B: deep scan on candidates.</span></div>
       </div>
+      <div class="row">
+        <div class="col"><label class="small" title="Halved while Vault answers 429/503, then recovers; 0 for no cap">Requests/second <input class="v-input" id="v-rps" type="number" min="0" max="1000" value="50" /></label></div>
+        <div class="col"><label class="small" title="Stop with partial results after this many requests; 0 for no limit">Request budget <input class="v-input" id="v-budget" type="number" min="0" value="0" /></label></div>
+        <div class="col"><label class="small" title="Stop with partial results after this many seconds; 0 for no limit">Time budget (s) <input class="v-input" id="v-seconds" type="number" min="0" value="0" /></label></div>
+      </div>
+      <div class="row">
+        <div class="col"><label class="small" title="Pick one to run it again; saved searches are shared with the popup">Saved &amp; recent <select class="v-input" id="v-library"></select></label></div>
+        <div class="col"><label class="small">Save as <input class="v-input" id="v-save-name" placeholder="e.g. prod DB creds"/></label></div>
+        <div class="col"><button class="btn" id="v-save">Save search</button></div>
+      </div>
+      <div class="row">
+        <div class="col"><label class="small">Export as <select class="v-input" id="v-export-format"><option value="csv">CSV</option><option value="json">JSON</option><option value="markdown">Markdown</option></select></label></div>
+        <div class="col"><label class="small" title="Reads the matched values again from Vault for the file; leave off to share paths and keys only"><input type="checkbox" id="v-export-values"> include values</label></div>
+        <div class="col"><button class="btn" id="v-export">Export results</button></div>
+      </div>
       <div class="row">
         <button class="btn" id="v-cancel">Cancel</button>
+        <button class="btn" id="v-duplicates" title="Reads every secret in scope (filters, and the query if any) and lists values used under more than one key. Only salted fingerprints of the values are kept.">Find duplicates</button>
         <button class="btn primary" id="v-run">Search</button>
         <div class="small" id="v-status" style="margin-left:auto;">Idle</div>
       </div>
@@ -327,112 +634,401 @@ function flattenAll(data, prefix = '') {
     </div>`;
   document.body.appendChild(modal);
 
-  function openModal(){ modal.style.display = 'block'; }
+  function openModal(){ modal.style.display = 'block'; renderLibrary(); }
   function closeModal(){ modal.style.display = 'none'; }
   fab.addEventListener('click', openModal);
   modal.querySelector('#v-close').addEventListener('click', closeModal);
   modal.querySelector('#v-cancel').addEventListener('click', closeModal);
 
+  // Saved and recent searches (saved-searches.js), shared with the popup
+  let library = { saved: [], recent: [] };
+  async function renderLibrary() {
+    try { library = { saved: await getSavedSearches(), recent: await getRecentSearches() }; }
+    catch (e) { log("Could not load saved searches:", e.message); return; }
+    const select = modal.querySelector('#v-library');
+    select.replaceChildren(new Option(library.saved.length || library.recent.length ? 'Choose a search…' : 'None yet', ''));
+    for (const [label, kind] of [['Saved', 'saved'], ['Recent', 'recent']]) {
+      if (!library[kind].length) continue;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      library[kind].forEach((entry, i) => group.appendChild(new Option(entry.name ? `${entry.name} — ${entry.term}` : searchEntryQuery(entry), `${kind}:${i}`)));
+      select.appendChild(group);
+    }
+  }
+
+  // The overlay's options in the shape the popup uses too
+  function readOptions() {
+    const rps = parseInt(modal.querySelector('#v-rps').value, 10);
+    return {
+      mode: modal.querySelector('#v-mode').value,
+      caseInsensitive: modal.querySelector('#v-ci').checked,
+      searchMetadata: modal.querySelector('#v-meta').checked,
+      searchHistory: modal.querySelector('#v-history').checked,
+      searchEngines: modal.querySelector('#v-engines').checked,
+      includeNamespaces: modal.querySelector('#v-namespaces').checked,
+      maxVersions: Math.min(parseInt(modal.querySelector('#v-versions').value || '10', 10) || 10, MAX_HISTORY_VERSIONS),
+      maxDepth: parseInt(modal.querySelector('#v-depth').value || '10', 10),
+      workers: parseInt(modal.querySelector('#v-workers').value || '48', 10),
+      maxRequestsPerSecond: rps >= 0 ? Math.min(rps, MAX_REQUESTS_PER_SECOND) : DEFAULT_REQUESTS_PER_SECOND,
+      maxRequests: parseInt(modal.querySelector('#v-budget').value, 10) || 0,
+      maxSeconds: parseInt(modal.querySelector('#v-seconds').value, 10) || 0
+    };
+  }
+  function readFilters() {
+    return { mountFilter: modal.querySelector('#v-mount').value.trim(), prefixFilter: modal.querySelector('#v-prefix').value.trim() };
+  }
+
+  // Fill the form from an entry; popup-only options (concurrency, deep scope) don't apply here
+  function applyEntry(entry) {
+    const o = entry.options || {};
+    const set = (id, value) => { if (value !== undefined && value !== null) modal.querySelector(id).value = value; };
+    set('#v-term', entry.term);
+    set('#v-mode', o.mode || 'contains');
+    modal.querySelector('#v-ci').checked = o.caseInsensitive !== false;
+    modal.querySelector('#v-meta').checked = !!o.searchMetadata;
+    modal.querySelector('#v-history').checked = !!o.searchHistory;
+    modal.querySelector('#v-engines').checked = !!o.searchEngines;
+    modal.querySelector('#v-namespaces').checked = !!o.includeNamespaces;
+    set('#v-versions', o.maxVersions || 10);
+    set('#v-depth', o.maxDepth);
+    set('#v-workers', o.workers);
+    set('#v-rps', o.maxRequestsPerSecond);
+    set('#v-budget', o.maxRequests || 0);
+    set('#v-seconds', o.maxSeconds || 0);
+    set('#v-mount', entry.filters?.mountFilter || '');
+    set('#v-prefix', entry.filters?.prefixFilter || '');
+  }
+
+  modal.querySelector('#v-library').addEventListener('change', (e) => {
+    const [kind, i] = e.target.value.split(':');
+    const entry = library[kind]?.[i];
+    e.target.value = '';
+    if (!entry) return;
+    applyEntry(entry);
+    run();
+  });
+
+  modal.querySelector('#v-save').addEventListener('click', async () => {
+    const name = modal.querySelector('#v-save-name').value.trim();
+    const term = modal.querySelector('#v-term').value.trim();
+    if (!name || !term) { showError('Enter a search and a name to save it under'); return; }
+    try {
+      await saveNamedSearch(name, createSearchEntry({ term, options: readOptions(), filters: readFilters(), vaultUrl: getVaultAddrFromLocation(), namespace: getNamespaceFromStorage(), source: 'overlay' }));
+      modal.querySelector('#v-save-name').value = '';
+      renderLibrary();
+    } catch (e) { showError(`Error: ${e.message}`); }
+  });
+
   function showError(msg){
-    const box = modal.querySelector('#vault-search-errors');
-    box.innerHTML = `<div class="error">${msg}</div>`;
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.textContent = msg;
+    modal.querySelector('#vault-search-errors').replaceChildren(error);
+  }
+
+  // Status line text, with a spinner while busy
+  function setStatus(text, busy = false) {
+    const status = modal.querySelector('#v-status');
+    status.textContent = text;
+    if (busy) {
+      const spinner = document.createElement('span');
+      spinner.className = 'spinner';
+      status.append(' ', spinner);
+    }
   }
 
-  function renderPathCandidate({ fullPath, mount, kv2 }) {
+  // Value display settings from the popup's Settings tab
+  const valueDisplay = { valuePreview: 'masked', revealSeconds: 0 };
+  const applyValueDisplay = () => { modal.querySelector('#v-export-values').disabled = valueDisplay.valuePreview === 'off'; };
+  chrome.storage.sync.get(['valuePreview', 'revealSeconds']).then(stored => { Object.assign(valueDisplay, stored); applyValueDisplay(); }, () => {});
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    for (const key of ['valuePreview', 'revealSeconds']) {
+      if (changes[key]) valueDisplay[key] = changes[key].newValue ?? (key === 'valuePreview' ? 'masked' : 0);
+    }
+    applyValueDisplay();
+  });
+
+  // The last search's results as shown, for exports, and its compiled query, for reveals
+  const shownResults = new Map();
+  let shownQuery = '';
+  let shownCompiledQuery = null;
+
+  // Results are grouped by namespace (the starting one first), then sorted within each group
+  function compareResults(a, b) {
+    const group = a.dataset.namespace.localeCompare(b.dataset.namespace);
+    if (group) return group;
+    if (modal.querySelector('#v-sort').value === 'relevance') {
+      const diff = Number(b.dataset.score) - Number(a.dataset.score);
+      if (diff) return diff;
+    }
+    return a.dataset.path.localeCompare(b.dataset.path);
+  }
+
+  // Keep streamed results ordered by binary-searching each card's place
+  function insertResult(box, el) {
+    const cards = box.children;
+    let lo = 0, hi = cards.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compareResults(cards[mid], el) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    box.insertBefore(el, cards[lo] || null);
+  }
+
+  modal.querySelector('#v-sort').addEventListener('change', () => {
+    const box = modal.querySelector('#vault-search-results');
+    [...box.querySelectorAll('.result[data-path]')].sort(compareResults).forEach(el => box.appendChild(el));
+  });
+
+  // One card per secret with every reason it matched (see results.js)
+  function renderResult(m) {
     const el = document.createElement('div');
     el.className = 'result';
+    el.dataset.path = m.path;
+    el.dataset.namespace = m.namespaceLabel || '';
+    el.dataset.score = m.score;
+    el.title = `Score ${m.score} · ${m.scoreReason}`;
+    const pill = (text, title) => {
+      const span = document.createElement('span');
+      span.className = 'kv-pill';
+      span.textContent = text;
+      if (title) span.title = title;
+      return span;
+    };
+    const header = document.createElement('div');
+    header.style.cssText = 'display:flex;justify-content:space-between;align-items:center;gap:8px;';
+    const name = document.createElement('div');
+    const path = document.createElement('strong');
+    path.textContent = m.path;
+    if (m.namespaceLabel) name.append(pill(`ns ${m.namespaceLabel}`), ' ');
+    name.append(path, ' ', pill(m.engine === 'kv' ? `kv${m.kvVersion}` : engineItemLabel(m.engine, m.itemKind)));
+    if (m.capabilities) name.append(' ', pill(m.capabilities.length ? m.capabilities.join('/') : 'no access', 'Token capabilities'));
+    const open = document.createElement('a');
+    open.className = 'btn';
+    open.href = m.url;
+    open.target = '_blank';
+    open.rel = 'noopener noreferrer';
+    open.textContent = 'Open in UI';
+    header.append(name, open);
+    el.appendChild(header);
 
-    // Get the current base URL (either from extension settings or page location)
-    const base = getVaultAddrFromLocation();
-    const path = fullPath.replace(mount, '');
-    const vaultUrl = `${base}/ui/vault/secrets/${mount.replace(/\/$/, '')}/kv/${encodeURIComponent(path)}`;
-
-    el.innerHTML = `
-      <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;">
-        <div><strong>${fullPath}</strong> <span class="kv-pill">${kv2 ? 'kv2' : 'kv1'}</span></div>
-        <div style="display:flex;gap:8px;align-items:center;">
-          <span class="small">path match</span>
-          <a class="btn" href="${vaultUrl}" target="_blank" rel="noopener noreferrer">Open in UI</a>
-        </div>
-      </div>`;
+    if (m.version) {
+      const version = document.createElement('div');
+      version.className = 'small';
+      version.style.marginTop = '4px';
+      version.textContent = `Version ${m.version} written ${m.versionCreatedTime ? new Date(m.versionCreatedTime).toLocaleString() : 'at an unknown time'}`;
+      el.appendChild(version);
+    }
+    if (m.pathMatches.length) el.appendChild(matchLine('Path matches:', m.pathMatches.map(({ text, ranges }) => [matchCode(text, ranges)])));
+    if (m.keyMatches.length) el.appendChild(matchLine('Key name matches:', m.keyMatches.map(({ jsonPath, ranges }) => [matchCode(jsonPath, ranges)])));
+    if (m.metadataMatches.length) {
+      el.appendChild(matchLine('Metadata matches:', m.metadataMatches.map(({ jsonPath, value }) => [matchCode(jsonPath), ': ', matchCode(String(value).slice(0, 80))]), true));
+    }
+    if (m.valueMatches.length) el.appendChild(renderValueMatches(m));
     return el;
   }
 
-  function renderDeepResult(m) {
+  // <code> with the matched ranges highlighted (results.js)
+  function matchCode(text, ranges = []) {
+    const code = document.createElement('code');
+    code.appendChild(highlightedText(text, ranges));
+    return code;
+  }
+
+  // "Label: item item" line of match evidence; each item is a list of nodes or text, one per line if asked
+  function matchLine(label, items, perLine = false) {
+    const line = document.createElement('div');
+    line.style.marginTop = '6px';
+    const em = document.createElement('em');
+    em.textContent = label;
+    line.append(em, ' ');
+    items.forEach((nodes, i) => line.append(...(i ? [perLine ? document.createElement('br') : ' '] : []), ...nodes));
+    return line;
+  }
+
+  // Masked matched values with a Reveal button that reads them again, or only their JSON paths
+  // when value previews are off
+  function renderValueMatches(m) {
+    const box = document.createElement('div');
+    box.style.marginTop = '6px';
+    const label = document.createElement('em');
+    label.textContent = 'Value matches:';
+    box.append(label, ' ');
+
+    const shown = m.valueMatches.slice(0, 5);
+    const masked = valueDisplay.valuePreview !== 'off';
+    const valueCodes = new Map(); // jsonPath -> <code> showing the value
+    shown.forEach(({ jsonPath, value }, i) => {
+      const key = document.createElement('code');
+      key.textContent = jsonPath;
+      if (!masked) {
+        box.append(i ? ' ' : '', key);
+        return;
+      }
+      const code = document.createElement('code');
+      code.textContent = value;
+      valueCodes.set(jsonPath, code);
+      box.append(i ? document.createElement('br') : '', key, ': ', code);
+    });
+    if (m.valueMatches.length > 5) {
+      const more = document.createElement('div');
+      more.className = 'small';
+      more.textContent = `+${m.valueMatches.length - 5} more…`;
+      box.appendChild(more);
+    }
+    if (!masked) return box;
+
+    const button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = 'Reveal';
+    let hideTimer = null;
+    const hide = () => {
+      clearTimeout(hideTimer);
+      shown.forEach(({ jsonPath, value }) => { valueCodes.get(jsonPath).textContent = value; });
+      button.textContent = 'Reveal';
+    };
+    button.addEventListener('click', async () => {
+      if (button.textContent === 'Hide') { hide(); return; }
+      button.disabled = true;
+      try {
+        const { values, ranges } = await revealMatchValues(await readPageAuth(), m, shown.map(v => v.jsonPath), { query: shownCompiledQuery });
+        shown.forEach(({ jsonPath }) => {
+          valueCodes.get(jsonPath).replaceChildren(values[jsonPath] === undefined ? '(no longer there)' : highlightedText(values[jsonPath], ranges[jsonPath]));
+        });
+        button.textContent = 'Hide';
+        if (valueDisplay.revealSeconds > 0) hideTimer = setTimeout(hide, valueDisplay.revealSeconds * 1000);
+      } catch (e) {
+        showError(`Could not reveal values: ${e.message}`);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    label.after(' ', button);
+    return box;
+  }
+
+  // One card per reused value: where it's used, never the value itself
+  function renderDuplicateGroup(group) {
     const el = document.createElement('div');
     el.className = 'result';
-    el.innerHTML = `
-      <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;">
-        <div><strong>${m.fullPath}</strong> <span class="kv-pill">${m.kv2 ? 'kv2' : 'kv1'}</span></div>
-        <a class="btn" href="${m.vaultUrl}" target="_blank" rel="noopener noreferrer">Open in UI</a>
-      </div>
-      ${m.keyMatches?.length ? `<div style="margin-top:6px"><em>Key name matches:</em> ${m.keyMatches.map(({jsonPath})=>`<code>${jsonPath}</code>`).join(' ')}</div>` : ''}
-      ${m.valueMatches?.length ? `<div style="margin-top:6px"><em>Value matches:</em> ${m.valueMatches.slice(0,5).map(({jsonPath,value})=>`<code>${jsonPath}</code>: <code>${String(value).slice(0,80)}</code>`).join('<br/>')}${m.valueMatches.length>5?`<div class="small">+${m.valueMatches.length-5} more…</div>`:''}</div>` : ''}
-    `;
+    const title = document.createElement('strong');
+    title.textContent = `Same value under ${group.locations.length} keys in ${group.secretCount} secret(s)`;
+    el.appendChild(title);
+    for (const { path, url, key } of group.locations) {
+      const row = document.createElement('div');
+      row.style.marginTop = '4px';
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = path;
+      const code = document.createElement('code');
+      code.textContent = key;
+      row.append(link, ' ', code);
+      el.appendChild(row);
+    }
     return el;
   }
 
+  // e.g. "Phase B · mounts 2/3 · folders 40/40 · secrets 12/30 · 3 denied · 4s"
+  function formatProgress(p) {
+    const parts = [p.phase === 'read' ? 'Phase B' : 'Phase A', `mounts ${p.mountsDone}/${p.totalMounts}`, `folders ${p.foldersListed}/${p.foldersQueued}`];
+    if (p.phase === 'read') parts.push(`secrets ${p.secretsRead}/${p.secretsQueued}`);
+    if (p.denied) parts.push(`${p.denied} denied`);
+    if (p.errors) parts.push(`${p.errors} errors`);
+    if (p.retries) parts.push(`${p.retries} retried`);
+    parts.push(`${Math.round(((p.finishedAt || Date.now()) - p.startedAt) / 1000)}s`);
+    return parts.join(' · ');
+  }
+
+  function budgetNote(p) {
+    return p?.stoppedBy ? `Stopped at the ${p.stoppedBy === 'time' ? 'time' : 'request'} budget (partial). ` : '';
+  }
+
+  // Token, Vault address and namespace of the page's session
+  async function readPageAuth() {
+    const authData = await getTokenFromPage();
+    // Handle both old format (string) and new format (object)
+    if (typeof authData === 'string') {
+      return { token: authData, base: getVaultAddrFromLocation(), namespace: getNamespaceFromStorage() };
+    }
+    return {
+      token: authData.token,
+      base: authData.vaultUrl || getVaultAddrFromLocation(),
+      namespace: authData.namespace || getNamespaceFromStorage()
+    };
+  }
+
   async function run() {
     const term = modal.querySelector('#v-term').value.trim();
-    const mode = modal.querySelector('#v-mode').value;
-    const ci = modal.querySelector('#v-ci').checked;
-    const depth = parseInt(modal.querySelector('#v-depth').value || '10', 10);
-    const workers = parseInt(modal.querySelector('#v-workers').value || '48', 10);
-    const mountFilter = modal.querySelector('#v-mount').value.trim();
-    const prefixFilter = modal.querySelector('#v-prefix').value.trim();
+    const options = readOptions();
+    const { mode, caseInsensitive: ci, searchMetadata, searchHistory, searchEngines, includeNamespaces, maxVersions, maxDepth: depth, workers, maxRequestsPerSecond, maxRequests, maxSeconds } = options;
+    const filters = readFilters();
+    const { mountFilter, prefixFilter } = filters;
     const status = modal.querySelector('#v-status');
     const resultsBox = modal.querySelector('#vault-search-results');
     const err = modal.querySelector('#vault-search-errors');
     resultsBox.innerHTML = ''; err.innerHTML = '';
+    shownResults.clear();
+    shownQuery = term;
+    shownCompiledQuery = null;
 
     if (!term) { resultsBox.innerHTML = '<div class="small">Enter a term to search.</div>'; return; }
+    const queryError = validateQuery(term, { mode, caseInsensitive: ci, searchMetadata });
+    if (queryError) { showError(queryError); return; }
+    shownCompiledQuery = compileQuery(term, { mode, similarity: 0.8, caseInsensitive: ci, searchMetadata });
 
     // Add loading spinner to status
-    status.innerHTML = 'Getting token, URL, namespace... <span class="spinner"></span>';
-    let base, token, namespace, authData;
+    setStatus('Getting token, URL, namespace...', true);
+    let base, token, namespace;
     try {
-      authData = await getTokenFromPage();
-
-      // Handle both old format (string) and new format (object)
-      if (typeof authData === 'string') {
-        token = authData;
-        base = getVaultAddrFromLocation();
-        namespace = getNamespaceFromStorage();
-      } else {
-        token = authData.token;
-        base = authData.vaultUrl || getVaultAddrFromLocation();
-        namespace = authData.namespace || getNamespaceFromStorage();
-      }
+      ({ base, token, namespace } = await readPageAuth());
     } catch (e) {
       status.textContent = 'Idle';
       showError(e.message);
       return;
     }
 
-    status.innerHTML = 'Phase A: scanning paths fast... <span class="spinner"></span>';
+    setStatus('Phase A: scanning paths fast...', true);
     const controller = new AbortController();
 
+    // Results are re-sent whenever a deep read adds evidence; replace the old card
+    const cards = new Map();
     let totalDeep = 0;
-    const frag = document.createDocumentFragment();
-    const onYield = (rec) => {
-      if (rec.type === "path") {
-        frag.appendChild(renderPathCandidate(rec));
-        if (frag.childNodes.length >= 10) { resultsBox.appendChild(frag.cloneNode(true)); frag.textContent = ""; }
-      }
-      if (rec.type === "deep") {
-        totalDeep++;
-        resultsBox.appendChild(renderDeepResult(rec));
-        status.innerHTML = `Phase B: deep matches so far ${totalDeep} <span class="spinner"></span>`;
+    const onYield = (result) => {
+      const el = renderResult(result);
+      const previous = cards.get(result.path);
+      if (previous) previous.remove();
+      if (result.keyMatches.length || result.valueMatches.length || result.metadataMatches.length) {
+        if (!previous?.dataset.deep) totalDeep++;
+        el.dataset.deep = 'true';
       }
+      cards.set(result.path, el);
+      shownResults.set(result.path, result);
+      insertResult(resultsBox, el);
+    };
+    const onRemove = (path) => {
+      cards.get(path)?.remove();
+      cards.delete(path);
+      shownResults.delete(path);
+    };
+    let lastProgress = null;
+    const onProgress = (p) => {
+      lastProgress = p;
+      setStatus(`${formatProgress(p)} · deep matches ${totalDeep}`, true);
     };
 
     try {
-      const deepMatches = await universalSearch({
-        base, token, term, match: mode, similarity: 0.8, caseInsensitive: ci, maxDepth: depth,
-        showAll: false, signal: controller.signal, namespace, workers, mountFilter, prefixFilter, onYield
+      const results = await universalSearch({
+        base, token, term, match: mode, similarity: 0.8, caseInsensitive: ci, searchMetadata, searchHistory, maxVersions, searchEngines, includeNamespaces, maxDepth: depth,
+        showAll: false, signal: controller.signal, namespace, workers, maxRequestsPerSecond, maxRequests, maxSeconds, mountFilter, prefixFilter, onYield, onRemove, onProgress
       });
-      if (frag.childNodes.length) resultsBox.appendChild(frag);
-      status.textContent = `Done. Deep matches: ${deepMatches.length}`;
+      const deepMatches = results.filter(r => r.keyMatches.length || r.valueMatches.length || r.metadataMatches.length);
+      recordRecentSearch(createSearchEntry({ term, options, filters, vaultUrl: base, namespace, source: 'overlay', resultCount: results.length }))
+        .then(renderLibrary, e => log("Could not record recent search:", e.message));
+      status.textContent = `${budgetNote(lastProgress)}Done. Results: ${results.length}, deep matches: ${deepMatches.length}` + (lastProgress ? ` · ${formatProgress(lastProgress)}` : '');
       if (!deepMatches.length) {
         const note = document.createElement('div');
         note.className = 'small';
@@ -446,7 +1042,83 @@ function flattenAll(data, prefix = '') {
     }
   }
 
+  // Reused values among the secrets in scope; the term is optional here
+  async function runDuplicates() {
+    const term = modal.querySelector('#v-term').value.trim();
+    const options = readOptions();
+    const { mountFilter, prefixFilter } = readFilters();
+    const status = modal.querySelector('#v-status');
+    const resultsBox = modal.querySelector('#vault-search-results');
+    resultsBox.innerHTML = ''; modal.querySelector('#vault-search-errors').innerHTML = '';
+    shownResults.clear();
+
+    const queryError = term && validateQuery(term, { mode: options.mode, caseInsensitive: options.caseInsensitive, searchMetadata: options.searchMetadata });
+    if (queryError) { showError(queryError); return; }
+
+    setStatus('Getting token, URL, namespace...', true);
+    let auth;
+    try {
+      auth = await readPageAuth();
+    } catch (e) {
+      status.textContent = 'Idle';
+      showError(e.message);
+      return;
+    }
+
+    setStatus('Reading secrets to find reused values...', true);
+    let lastProgress = null;
+    try {
+      const groups = await findDuplicateValues({
+        ...auth, term, match: options.mode, caseInsensitive: options.caseInsensitive, searchMetadata: options.searchMetadata,
+        includeNamespaces: options.includeNamespaces, maxDepth: options.maxDepth, workers: options.workers,
+        maxRequestsPerSecond: options.maxRequestsPerSecond, maxRequests: options.maxRequests, maxSeconds: options.maxSeconds,
+        mountFilter, prefixFilter,
+        onProgress: (p) => { lastProgress = p; setStatus(formatProgress(p), true); }
+      });
+      groups.forEach(group => resultsBox.appendChild(renderDuplicateGroup(group)));
+      status.textContent = `${budgetNote(lastProgress)}Done. Reused values: ${groups.length}` + (lastProgress ? ` · ${formatProgress(lastProgress)}` : '');
+      if (!groups.length) {
+        const note = document.createElement('div');
+        note.className = 'small';
+        note.textContent = `No value of ${MIN_DUPLICATE_VALUE_LENGTH}+ characters is used under more than one key.`;
+        resultsBox.appendChild(note);
+      }
+    } catch (e) {
+      status.textContent = 'Idle';
+      showError(`Error: ${e.message}`);
+      log("Duplicate scan failed:", e);
+    }
+  }
+
+  // Download the results shown (export.js); matched values are read again only when asked for
+  async function exportShownResults() {
+    const results = [...shownResults.values()];
+    if (!results.length) { showError('No results to export yet; run a search first.'); return; }
+    const format = modal.querySelector('#v-export-format').value;
+    const checkbox = modal.querySelector('#v-export-values');
+    let values = null;
+    if (checkbox.checked && !checkbox.disabled) {
+      values = {};
+      setStatus('Reading values for the export...', true);
+      try {
+        const auth = await readPageAuth();
+        const scheduler = createRequestScheduler();
+        for (const result of results.filter(r => r.valueMatches.length)) {
+          values[result.path] = (await revealMatchValues(auth, result, result.valueMatches.map(m => m.jsonPath), { full: true, scheduler })).values;
+        }
+      } catch (e) {
+        setStatus('Idle');
+        showError(`Export failed: ${e.message}`);
+        return;
+      }
+    }
+    downloadFile(exportFileName('vault-results', format), EXPORT_FORMATS[format].type, exportResults(results, format, { query: shownQuery, values }));
+    setStatus(`Exported ${results.length} result(s)${values ? ' with values' : ''}`);
+  }
+
   modal.querySelector('#v-run').addEventListener('click', run);
+  modal.querySelector('#v-export').addEventListener('click', exportShownResults);
+  modal.querySelector('#v-duplicates').addEventListener('click', runDuplicates);
 
   // Add keyboard shortcut info
   document.addEventListener('keydown', (e) => {
@@ -0,0 +1,55 @@
+/**
+ * Vault Secret Search - Duplicate Values
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Finds values reused across secrets and keys without holding on to them. Each
+ *              leaf value is reduced to a SHA-256 fingerprint salted with random bytes made
+ *              per scan, so fingerprints can't be looked up in precomputed tables or compared
+ *              between scans. Groups list where a value is used, never the value:
+ *
+ *   { fingerprint, secretCount: 2, locations: [{ path, url, key: 'db.password' }, ...] }
+ */
+
+const DUPLICATE_SALT_BYTES = 16;
+const MIN_DUPLICATE_VALUE_LENGTH = 8; // Shorter values (ports, flags, 'admin') would drown real reuse
+
+async function fingerprintValue(salt, value) {
+  const bytes = new TextEncoder().encode(value);
+  const salted = new Uint8Array(salt.length + bytes.length);
+  salted.set(salt);
+  salted.set(bytes, salt.length);
+  const digest = await crypto.subtle.digest('SHA-256', salted);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Collects fingerprints of one scan. crypto.subtle only exists on secure (https or localhost) pages.
+function createDuplicateFinder() {
+  if (!globalThis.crypto?.subtle) throw new Error('Finding duplicates needs a secure (https) page');
+  const salt = crypto.getRandomValues(new Uint8Array(DUPLICATE_SALT_BYTES));
+  const locations = new Map(); // fingerprint -> [{ path, url, key }]
+
+  return {
+    // Fingerprint the string leaves of one secret; leaves are [{ path, value }] from flattenAll()
+    // and location is { path, url } of the secret
+    async add(location, leaves) {
+      for (const { path: key, value } of leaves) {
+        if (typeof value !== 'string' || value.length < MIN_DUPLICATE_VALUE_LENGTH) continue;
+        const fingerprint = await fingerprintValue(salt, value);
+        if (!locations.has(fingerprint)) locations.set(fingerprint, []);
+        locations.get(fingerprint).push({ ...location, key });
+      }
+    },
+
+    // Values found under more than one key, the most reused first
+    groups() {
+      return [...locations]
+        .filter(([, found]) => found.length > 1)
+        .map(([fingerprint, found]) => ({
+          fingerprint,
+          secretCount: new Set(found.map(l => l.path)).size,
+          locations: found.sort((a, b) => a.path.localeCompare(b.path) || a.key.localeCompare(b.key))
+        }))
+        .sort((a, b) => b.locations.length - a.locations.length || b.secretCount - a.secretCount);
+    }
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Vault Secret Search - Engine Adapters
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: What to list in secrets engines other than KV, and Vault UI deep links for
+ *              every kind of result. Shared by both search engines; names only, nothing is read.
+ *
+ * Each adapter lists one or more API endpoints under the mount. Their names become results
+ * with a path such as `transit/keys/payments-key`, so `path:` and plain terms match them.
+ */
+
+// list: LIST endpoint under the mount; kind: what one entry is; ui(id): page under
+// /ui/vault/secrets/<mount>/, or null where the Vault UI has no page for it
+const ENGINE_ADAPTERS = {
+  transit: {
+    label: 'Transit',
+    lists: [{ list: 'keys', kind: 'key', ui: id => `show/${encodeURIComponent(id)}?tab=details` }]
+  },
+  database: {
+    label: 'Database',
+    lists: [
+      { list: 'config', kind: 'connection', ui: id => `show/${encodeURIComponent(id)}?itemType=connection` },
+      { list: 'roles', kind: 'role', ui: id => `show/role/${encodeURIComponent(id)}?type=dynamic` },
+      { list: 'static-roles', kind: 'static role', ui: id => `show/role/${encodeURIComponent(id)}?type=static` }
+    ]
+  },
+  pki: {
+    label: 'PKI',
+    lists: [
+      { list: 'roles', kind: 'role', ui: id => `pki/roles/${encodeURIComponent(id)}/details` },
+      // Issuers are listed by ID; their names live in key_info
+      { list: 'issuers', kind: 'issuer', ui: id => `pki/issuers/${encodeURIComponent(id)}/details`, name: (id, info) => info?.issuer_name || id }
+    ]
+  },
+  ssh: {
+    label: 'SSH',
+    lists: [{ list: 'roles', kind: 'role', ui: id => `show/${encodeURIComponent(id)}` }]
+  },
+  aws: {
+    label: 'AWS',
+    lists: [{ list: 'roles', kind: 'role', ui: id => `show/${encodeURIComponent(id)}` }]
+  },
+  azure: {
+    label: 'Azure',
+    lists: [{ list: 'roles', kind: 'role', ui: null }]
+  },
+  gcp: {
+    label: 'GCP',
+    lists: [
+      { list: 'rolesets', kind: 'roleset', ui: null },
+      { list: 'static-accounts', kind: 'static account', ui: null },
+      { list: 'impersonated-accounts', kind: 'impersonated account', ui: null }
+    ]
+  },
+  totp: {
+    label: 'TOTP',
+    lists: [{ list: 'keys', kind: 'key', ui: null }]
+  }
+};
+
+const SEARCHABLE_ENGINES = Object.keys(ENGINE_ADAPTERS);
+
+// Mount name as it appears in UI routes
+function uiMountName(mount) {
+  return mount.replace(/\/$/, '');
+}
+
+// The UI switches namespace through a query parameter
+function withUiNamespace(url, namespace) {
+  if (!namespace) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}namespace=${encodeURIComponent(namespace)}`;
+}
+
+// KV secret, folder or older version page. KV2 uses the KV engine's routes (encoded path),
+// KV1 the generic secrets routes.
+function kvUiUrl(baseUrl, mount, path, { kv2, isDirectory = false, version = null, namespace = '' } = {}) {
+  const root = `${baseUrl}/ui/vault/secrets/${uiMountName(mount)}`;
+  let url;
+  if (kv2) {
+    url = isDirectory
+      ? `${root}/kv/list/${encodeURIComponent(`${path}/`)}`
+      : `${root}/kv/${encodeURIComponent(path)}/details${version ? `?version=${version}` : ''}`;
+  } else {
+    url = isDirectory ? `${root}/list/${path}/` : `${root}/show/${path}`;
+  }
+  return withUiNamespace(url, namespace);
+}
+
+// Page of one listed engine entry, falling back to the mount's configuration
+function engineItemUiUrl(baseUrl, mount, source, id, namespace = '') {
+  const root = `${baseUrl}/ui/vault/secrets/${uiMountName(mount)}`;
+  return withUiNamespace(source.ui ? `${root}/${source.ui(id)}` : `${root}/configuration`, namespace);
+}
+
+// Entries of one LIST response as { id, name, secretPath }, e.g. secretPath 'roles/payments-ro'
+function engineListItems(source, response) {
+  const keys = response?.data?.keys || [];
+  const keyInfo = response?.data?.key_info || {};
+  return keys
+    .filter(id => !id.endsWith('/'))
+    .map(id => {
+      const name = source.name ? source.name(id, keyInfo[id]) : id;
+      return { id, name, secretPath: `${source.list}/${name}` };
+    });
+}
+
+// "Transit key", "Database static role", ...
+function engineItemLabel(engine, kind) {
+  return `${ENGINE_ADAPTERS[engine]?.label || engine} ${kind}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Vault Secret Search - Result Export
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Turns a result set (results.js) into CSV, JSON or a Markdown table for tickets
+ *              and hand-overs, and downloads it. Values are left out unless the caller passes
+ *              them in, read again from Vault in full for the export: { [result path]: { [jsonPath]: value } }.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv' },
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown' }
+};
+const EXPORT_COLUMNS = ['path', 'mount', 'namespace', 'kv_version', 'match_types', 'key_paths', 'value_paths', 'url'];
+
+// One flat row per result; `values` (matched values by JSON path) only when given
+function exportRow(result, values) {
+  const matchTypes = [
+    result.pathMatches.length && 'path',
+    result.keyMatches.length && 'key',
+    result.valueMatches.length && 'value',
+    result.metadataMatches.length && 'metadata'
+  ].filter(Boolean);
+  const row = {
+    path: result.path,
+    mount: result.mount,
+    namespace: result.namespace || '',
+    kvVersion: result.kvVersion,
+    matchTypes,
+    keyPaths: result.keyMatches.map(m => m.jsonPath),
+    valuePaths: result.valueMatches.map(m => m.jsonPath),
+    url: result.url
+  };
+  if (values) row.values = values[result.path] || {};
+  return row;
+}
+
+// Text of a result set in one of EXPORT_FORMATS; values as described above, or null to leave them out
+function exportResults(results, format, { query = '', values = null } = {}) {
+  const rows = [...results].sort((a, b) => a.path.localeCompare(b.path)).map(result => exportRow(result, values));
+  if (format === 'json') {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), query, count: rows.length, results: rows }, null, 2);
+  }
+
+  const columns = values ? [...EXPORT_COLUMNS, 'values'] : EXPORT_COLUMNS;
+  const cells = rows.map(row => [
+    row.path, row.mount, row.namespace, row.kvVersion ?? '', row.matchTypes.join(' '),
+    row.keyPaths.join(' '), row.valuePaths.join(' '), row.url,
+    ...(values ? [Object.entries(row.values).map(([jsonPath, value]) => `${jsonPath}=${value}`).join('; ')] : [])
+  ]);
+  if (format === 'markdown') {
+    const line = items => `| ${items.map(markdownCell).join(' | ')} |`;
+    return [line(columns), line(columns.map(() => '---')), ...cells.map(line)].join('\n');
+  }
+  return [columns, ...cells].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// Cells starting like a formula are quoted so spreadsheets don't run them
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Pipes would end the cell and newlines the row
+function markdownCell(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r\n?|\n/g, ' ');
+}
+
+// e.g. "vault-results-2024-05-01-12-30-00.csv"
+function exportFileName(prefix, format) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return `${prefix}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function downloadFile(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
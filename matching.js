@@ -0,0 +1,124 @@
+/**
+ * Vault Secret Search - Text Matchers
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Match modes shared by the content script overlay and the background search engine
+ */
+
+const MATCH_MODES = ['contains', 'exact', 'regex', 'fuzzy'];
+
+// Bigram (Dice coefficient) similarity between two strings, 0..1
+function fuzzyRatio(a, b) {
+  const x = (a || "").toLowerCase();
+  const y = (b || "").toLowerCase();
+  if (!x || !y) return 0;
+  const bigrams = s => new Set([...s].map((_, i) => s.slice(i, i + 2)).filter(t => t.length === 2));
+  const xb = bigrams(x), yb = bigrams(y);
+  const inter = [...xb].filter(t => yb.has(t)).length;
+  return (2 * inter) / (xb.size + yb.size || 1);
+}
+
+function matchText(text, pattern, { mode = "contains", similarity = 0.8, caseInsensitive = false } = {}) {
+  if (!pattern) return false;
+  const T = caseInsensitive ? String(text ?? "").toLowerCase() : String(text ?? "");
+  const P = caseInsensitive ? String(pattern).toLowerCase() : String(pattern);
+  if (mode === "exact") return T === P;
+  if (mode === "contains") return T.includes(P);
+  if (mode === "regex") { try { return new RegExp(pattern, caseInsensitive ? "i" : undefined).test(String(text ?? "")); } catch { return false; } }
+  if (mode === "fuzzy") return fuzzyRatio(T, P) >= similarity;
+  return false;
+}
+
+// Returns an error message for a pattern the given mode can't use, or null
+function validatePattern(pattern, mode) {
+  if (!pattern) return 'Search term is empty';
+  if (!MATCH_MODES.includes(mode)) return `Unknown match mode: ${mode}`;
+  if (mode === 'regex') {
+    try { new RegExp(pattern); } catch (e) { return `Invalid regex: ${e.message}`; }
+  }
+  return null;
+}
+
+// Ranking weights: how a term matched, and where
+const MATCH_TYPE_WEIGHTS = { exact: 1, prefix: 0.85, contains: 0.7, fuzzy: 0.5 };
+const MATCH_LOCATION_WEIGHTS = { leaf: 1, path: 0.8, key: 0.6, metadata: 0.5, value: 0.4 };
+const MATCH_LOCATION_LABELS = { leaf: 'leaf segment', path: 'path', key: 'key name', metadata: 'custom metadata', value: 'value' };
+
+// Classify a regex hit as exact (whole text), prefix or contains
+function regexQuality(regex, text) {
+  const m = regex.exec(String(text ?? ''));
+  if (!m) return null;
+  if (m[0].length === String(text ?? '').length) return { type: 'exact', similarity: 1 };
+  return { type: m.index === 0 ? 'prefix' : 'contains', similarity: 1 };
+}
+
+// How a pattern matches a text under matchText() rules: { type, similarity } or null
+function matchQuality(text, pattern, { mode = "contains", similarity = 0.8, caseInsensitive = false } = {}) {
+  if (!pattern) return null;
+  if (mode === "regex") {
+    try { return regexQuality(new RegExp(pattern, caseInsensitive ? "i" : undefined), text); } catch { return null; }
+  }
+  const T = caseInsensitive ? String(text ?? "").toLowerCase() : String(text ?? "");
+  const P = caseInsensitive ? String(pattern).toLowerCase() : String(pattern);
+  const ratio = mode === "fuzzy" ? fuzzyRatio(T, P) : 1;
+  if (ratio < similarity) return null;
+  if (T === P) return { type: 'exact', similarity: 1 };
+  if (mode === "exact") return null;
+  if (T.startsWith(P)) return { type: 'prefix', similarity: 1 };
+  if (T.includes(P)) return { type: 'contains', similarity: 1 };
+  return mode === "fuzzy" ? { type: 'fuzzy', similarity: ratio } : null;
+}
+
+// Spans of a text a pattern matches under matchText() rules, for highlighting: [[start, end]],
+// plus [start, end, 1] for regex capture groups. A fuzzy match that isn't a substring marks the
+// characters of the bigrams text and pattern share.
+function matchRanges(text, pattern, { mode = "contains", similarity = 0.8, caseInsensitive = false } = {}) {
+  if (!pattern) return [];
+  if (mode === "regex") {
+    try { return regexRanges(new RegExp(pattern, caseInsensitive ? "i" : undefined), String(text ?? "")); } catch { return []; }
+  }
+  const T = caseInsensitive ? String(text ?? "").toLowerCase() : String(text ?? "");
+  const P = caseInsensitive ? String(pattern).toLowerCase() : String(pattern);
+  if (mode === "exact") return T === P ? [[0, T.length]] : [];
+  if (mode === "fuzzy" && fuzzyRatio(T, P) < similarity) return [];
+  const ranges = [];
+  for (let i = T.indexOf(P); i !== -1; i = T.indexOf(P, i + P.length)) ranges.push([i, i + P.length]);
+  return ranges.length || mode !== "fuzzy" ? ranges : bigramRanges(T, P);
+}
+
+// Every match of a regex, with its capture groups (the d flag gives their indices)
+function regexRanges(regex, text) {
+  const global = new RegExp(regex.source, `${regex.flags.replace(/[gyd]/g, "")}gd`);
+  const ranges = [];
+  for (const m of String(text ?? "").matchAll(global)) {
+    if (!m[0]) continue;
+    ranges.push([m.index, m.index + m[0].length]);
+    m.indices.slice(1).forEach(group => { if (group && group[1] > group[0]) ranges.push([group[0], group[1], 1]); });
+  }
+  return ranges;
+}
+
+// Runs of characters in text that belong to a bigram of pattern
+function bigramRanges(text, pattern) {
+  const shared = new Set([...pattern].map((_, i) => pattern.slice(i, i + 2)).filter(t => t.length === 2));
+  const ranges = [];
+  for (let i = 0; i + 1 < text.length; i++) {
+    if (!shared.has(text.slice(i, i + 2))) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] >= i) last[1] = i + 2;
+    else ranges.push([i, i + 2]);
+  }
+  return ranges;
+}
+
+// 0-100 relevance of one match; deeper paths and nested keys rank lower
+function scoreMatch(quality, location, depth = 0) {
+  const weight = MATCH_TYPE_WEIGHTS[quality.type] * (quality.type === 'fuzzy' ? quality.similarity : 1);
+  return Math.round(100 * weight * MATCH_LOCATION_WEIGHTS[location] / (1 + 0.1 * depth));
+}
+
+// e.g. "exact match in leaf segment", shown when hovering a result
+function describeMatch(quality, location) {
+  const fuzzy = quality.type === 'fuzzy' ? ` (${Math.round(quality.similarity * 100)}% similar)` : '';
+  return `${quality.type}${fuzzy} match in ${MATCH_LOCATION_LABELS[location]}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * Vault Secret Search - Path Index
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: IndexedDB cache of folder listings, keyed by Vault URL and namespace.
+ *              Only secret paths are stored here, never secret values.
+ */
+
+const PATH_INDEX_DB = 'vault-search-path-index';
+const PATH_INDEX_DB_VERSION = 1;
+const INDEX_STALE_AFTER = 15 * 60 * 1000; // Re-list a folder after 15 minutes
+const INDEX_COLD_STALE_AFTER = 24 * 60 * 60 * 1000; // ...or a day if nothing in it changed lately
+const INDEX_COLD_AFTER = 30 * 24 * 60 * 60 * 1000; // No KV2 write for 30 days = cold folder
+
+let pathIndexDbPromise = null;
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openPathIndexDb() {
+  if (!pathIndexDbPromise) {
+    pathIndexDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PATH_INDEX_DB, PATH_INDEX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // One record per listed folder: { indexKey, mount, prefix, keys, listedAt, latestUpdate }
+        const prefixes = db.createObjectStore('prefixes', { keyPath: ['indexKey', 'mount', 'prefix'] });
+        prefixes.createIndex('byIndexKey', 'indexKey');
+        // One record per server: { indexKey, builtAt, updatedAt }
+        db.createObjectStore('meta', { keyPath: 'indexKey' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      pathIndexDbPromise = null;
+      throw error;
+    });
+  }
+  return pathIndexDbPromise;
+}
+
+async function withPathIndexStore(storeName, mode, fn) {
+  const db = await openPathIndexDb();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([fn(tx.objectStore(storeName)), done]);
+  return result;
+}
+
+// Servers and namespaces are indexed separately
+function pathIndexKey(vaultUrl, namespace) {
+  return `${vaultUrl}|${namespace || ''}`;
+}
+
+// Range covering a folder and everything below it
+function subtreeRange(indexKey, mount, prefix) {
+  return IDBKeyRange.bound([indexKey, mount, prefix], [indexKey, mount, `${prefix}\uffff`]);
+}
+
+function isPrefixStale(record, now = Date.now()) {
+  const cold = record.latestUpdate && now - record.latestUpdate > INDEX_COLD_AFTER;
+  return now - record.listedAt > (cold ? INDEX_COLD_STALE_AFTER : INDEX_STALE_AFTER);
+}
+
+async function getIndexedPrefix(indexKey, mount, prefix) {
+  return withPathIndexStore('prefixes', 'readonly', store =>
+    idbRequest(store.get([indexKey, mount, prefix]))
+  );
+}
+
+async function putIndexedPrefix(indexKey, mount, prefix, keys, latestUpdate) {
+  return withPathIndexStore('prefixes', 'readwrite', store =>
+    idbRequest(store.put({ indexKey, mount, prefix, keys, listedAt: Date.now(), latestUpdate: latestUpdate || null }))
+  );
+}
+
+async function deleteIndexedSubtree(indexKey, mount, prefix) {
+  return withPathIndexStore('prefixes', 'readwrite', store =>
+    idbRequest(store.delete(subtreeRange(indexKey, mount, prefix)))
+  );
+}
+
+// Merge newest KV2 write times (ms) into their folders: Map<"mount\nprefix", time>
+async function recordLatestUpdates(indexKey, latestByFolder) {
+  if (!latestByFolder.size) return;
+  return withPathIndexStore('prefixes', 'readwrite', async store => {
+    for (const [folder, time] of latestByFolder) {
+      const [mount, prefix] = folder.split('\n');
+      const record = await idbRequest(store.get([indexKey, mount, prefix]));
+      if (record && (!record.latestUpdate || time > record.latestUpdate)) {
+        record.latestUpdate = time;
+        store.put(record);
+      }
+    }
+  });
+}
+
+async function touchPathIndexMeta(indexKey, { rebuilt = false } = {}) {
+  return withPathIndexStore('meta', 'readwrite', async store => {
+    const now = Date.now();
+    const meta = (await idbRequest(store.get(indexKey))) || { indexKey, builtAt: now };
+    if (rebuilt) meta.builtAt = now;
+    meta.updatedAt = now;
+    store.put(meta);
+  });
+}
+
+async function clearPathIndex(indexKey) {
+  await withPathIndexStore('prefixes', 'readwrite', store =>
+    idbRequest(store.delete(IDBKeyRange.bound([indexKey], [indexKey, []])))
+  );
+  await withPathIndexStore('meta', 'readwrite', store => idbRequest(store.delete(indexKey)));
+}
+
+async function getPathIndexStatus(indexKey) {
+  const meta = await withPathIndexStore('meta', 'readonly', store => idbRequest(store.get(indexKey)));
+  if (!meta) return { indexed: false };
+
+  const records = await withPathIndexStore('prefixes', 'readonly', store =>
+    idbRequest(store.index('byIndexKey').getAll(indexKey))
+  );
+  const pathCount = records.reduce((sum, r) => sum + r.keys.filter(k => !k.endsWith('/')).length, 0);
+  const oldestListing = records.reduce((min, r) => Math.min(min, r.listedAt), Date.now());
+
+  return {
+    indexed: true,
+    builtAt: meta.builtAt,
+    updatedAt: meta.updatedAt,
+    oldestListing,
+    folderCount: records.length,
+    pathCount
+  };
+}
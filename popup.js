@@ -24,17 +24,64 @@ const connectionText = document.getElementById('connectionText');
 // Search elements
 const searchTermInput = document.getElementById('searchTerm');
 const caseInsensitiveCheckbox = document.getElementById('caseInsensitive');
-const exactMatchCheckbox = document.getElementById('exactMatch');
+const matchModeSelect = document.getElementById('matchMode');
+const similarityInput = document.getElementById('similarity');
+const similarityGroup = document.getElementById('similarityGroup');
+const concurrencyInput = document.getElementById('concurrency');
+const maxRequestsPerSecondInput = document.getElementById('maxRequestsPerSecond');
+const maxRequestsInput = document.getElementById('maxRequests');
+const maxSecondsInput = document.getElementById('maxSeconds');
+const deepScanAllCheckbox = document.getElementById('deepScanAll');
+const searchMetadataCheckbox = document.getElementById('searchMetadata');
+const searchHistoryCheckbox = document.getElementById('searchHistory');
+const searchEnginesCheckbox = document.getElementById('searchEngines');
+const includeNamespacesCheckbox = document.getElementById('includeNamespaces');
+const maxVersionsInput = document.getElementById('maxVersions');
+const maxVersionsGroup = document.getElementById('maxVersionsGroup');
 const searchBtn = document.getElementById('searchBtn');
+const auditBtn = document.getElementById('auditBtn');
+const auditRotationDaysInput = document.getElementById('auditRotationDays');
+const auditMinPasswordLengthInput = document.getElementById('auditMinPasswordLength');
+const auditCertExpiryDaysInput = document.getElementById('auditCertExpiryDays');
+const auditExport = document.getElementById('auditExport');
+const exportAuditJsonBtn = document.getElementById('exportAuditJsonBtn');
+const exportAuditCsvBtn = document.getElementById('exportAuditCsvBtn');
+const resultsExport = document.getElementById('resultsExport');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportValuesCheckbox = document.getElementById('exportValues');
+const exportResultsBtn = document.getElementById('exportResultsBtn');
+const savedSearchList = document.getElementById('savedSearchList');
+const recentSearchList = document.getElementById('recentSearchList');
+const saveSearchNameInput = document.getElementById('saveSearchName');
+const saveSearchBtn = document.getElementById('saveSearchBtn');
+const clearRecentBtn = document.getElementById('clearRecentBtn');
 const cancelBtn = document.getElementById('cancelBtn');
 const searchStatus = document.getElementById('searchStatus');
 const searchResults = document.getElementById('searchResults');
+const secretViewer = document.getElementById('secretViewer');
+const sortOrderSelect = document.getElementById('sortOrder');
+const valuePreviewSelect = document.getElementById('valuePreview');
+const revealSecondsInput = document.getElementById('revealSeconds');
 const searchConnectionDot = document.getElementById('searchConnectionDot');
 const searchConnectionText = document.getElementById('searchConnectionText');
+const indexStatusText = document.getElementById('indexStatusText');
+const rebuildIndexBtn = document.getElementById('rebuildIndexBtn');
+const INDEX_STATUS_POLL = 2000; // While a rebuild this popup didn't start is running
 
 let currentAuthType = 'token';
 let currentSearchId = null;
-let searchPollingInterval = null;
+let searchRunning = false;
+let indexRebuilding = false;
+
+// Pushed search events (see SEARCH_PORT_NAME in background.js)
+let searchPort = null;
+let snapshotReceived = false;
+let searchProgress = null;
+const renderedRows = new Map(); // result path -> row element
+const renderedResults = new Map(); // result path -> latest result, for exports
+let currentAudit = null; // { settings, scope } while the shown search is an audit
+let shownQuery = ''; // Query of the results shown, for exports
+let shownOptions = {}; // ...and its options, to highlight revealed values
 
 // Save form state before popup closes
 window.addEventListener('beforeunload', () => {
@@ -48,6 +95,7 @@ document.addEventListener('DOMContentLoaded', () => {
   setupEventListeners();
   checkConnectionStatus();
   checkForActiveSearch(); // Check if there's an ongoing search
+  renderSearchLibrary();
 });
 
 // Setup event listeners
@@ -75,14 +123,63 @@ function setupEventListeners() {
   // Search button
   searchBtn.addEventListener('click', handleSearch);
 
+  // Audit mode runs the same background job with rule checks instead of matching
+  auditBtn.addEventListener('click', handleAudit);
+  exportAuditJsonBtn.addEventListener('click', () => exportAuditReport('json'));
+  exportAuditCsvBtn.addEventListener('click', () => exportAuditReport('csv'));
+  exportResultsBtn.addEventListener('click', exportSearchResults);
+
   // Cancel button
   cancelBtn.addEventListener('click', handleCancelSearch);
 
+  // Rebuild path index button
+  rebuildIndexBtn.addEventListener('click', handleRebuildIndex);
+
+  // Recent and saved searches; the background records finished searches while the popup is open
+  saveSearchBtn.addEventListener('click', handleSaveSearch);
+  clearRecentBtn.addEventListener('click', async () => {
+    await clearRecentSearches();
+    renderSearchLibrary();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes[RECENT_SEARCHES_KEY] || changes[SAVED_SEARCHES_KEY])) {
+      renderSearchLibrary();
+    }
+  });
+
+  // Re-order the rows already shown and remember the choice
+  sortOrderSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ resultSort: sortOrderSelect.value });
+    sortSearchResults();
+  });
+
+  // Value display settings, shared with the overlay
+  valuePreviewSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ valuePreview: valuePreviewSelect.value });
+    exportValuesCheckbox.disabled = valuePreviewSelect.value === 'off';
+    displaySearchResults([...renderedResults.values()]);
+  });
+  revealSecondsInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ revealSeconds: Math.max(parseInt(revealSecondsInput.value, 10) || 0, 0) });
+  });
+
+  // Similarity only applies to fuzzy matching
+  matchModeSelect.addEventListener('change', () => {
+    similarityGroup.style.display = matchModeSelect.value === 'fuzzy' ? 'block' : 'none';
+  });
+
+  // The version cap only applies to history searches
+  searchHistoryCheckbox.addEventListener('change', () => {
+    maxVersionsGroup.style.display = searchHistoryCheckbox.checked ? 'block' : 'none';
+  });
+
   // Enter key to save/search
   document.querySelectorAll('input').forEach(input => {
     input.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
-        if (input.closest('#search-content')) {
+        if (input === saveSearchNameInput) {
+          handleSaveSearch();
+        } else if (input.closest('#search-content')) {
           handleSearch();
         } else {
           handleSave();
@@ -149,9 +246,25 @@ async function loadSettings() {
       'username',
       'userpassMount',
       'ldapMount',
-      'rememberMe'
+      'rememberMe',
+      'resultSort',
+      'valuePreview',
+      'revealSeconds'
     ]);
 
+    if (result.resultSort) {
+      sortOrderSelect.value = result.resultSort;
+    }
+
+    if (result.valuePreview) {
+      valuePreviewSelect.value = result.valuePreview;
+      exportValuesCheckbox.disabled = result.valuePreview === 'off';
+    }
+
+    if (result.revealSeconds !== undefined) {
+      revealSecondsInput.value = result.revealSeconds;
+    }
+
     if (result.vaultUrl) {
       vaultUrlInput.value = result.vaultUrl;
     }
@@ -440,13 +553,17 @@ function updateConnectionStatus(connected) {
     connectionText.textContent = 'Connected to Vault';
     searchConnectionDot.classList.add('connected');
     searchConnectionText.textContent = 'Connected to Vault';
-    searchBtn.disabled = false;
+    searchBtn.disabled = searchRunning;
+    rebuildIndexBtn.disabled = false;
+    refreshIndexStatus();
   } else {
     connectionDot.classList.remove('connected');
     connectionText.textContent = 'Not connected';
     searchConnectionDot.classList.remove('connected');
     searchConnectionText.textContent = 'Not connected - Configure in Settings';
     searchBtn.disabled = true;
+    rebuildIndexBtn.disabled = true;
+    indexStatusText.textContent = 'Path index: not connected';
   }
 }
 
@@ -461,6 +578,80 @@ async function checkConnectionStatus() {
   }
 }
 
+// Show how old the cached path index is
+async function refreshIndexStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_INDEX_STATUS' });
+    if (!response || !response.success) {
+      indexStatusText.textContent = 'Path index: unavailable';
+      return;
+    }
+
+    const { status, rebuilding } = response;
+    setIndexRebuilding(rebuilding);
+    if (rebuilding) {
+      indexStatusText.textContent = 'Path index: re-listing every mount...';
+      setTimeout(refreshIndexStatus, INDEX_STATUS_POLL);
+      return;
+    }
+    if (!status.indexed) {
+      indexStatusText.textContent = 'Path index: not built yet';
+      return;
+    }
+
+    indexStatusText.textContent =
+      `Path index: ${status.pathCount.toLocaleString()} paths, updated ${formatAge(Date.now() - status.updatedAt)}`;
+    indexStatusText.title = `Oldest folder listing: ${formatAge(Date.now() - status.oldestListing)}\n` +
+      `Built: ${new Date(status.builtAt).toLocaleString()}`;
+  } catch (error) {
+    console.error('Error loading index status:', error);
+  }
+}
+
+// Rebuild the path index from scratch, or cancel the rebuild running in the background
+async function handleRebuildIndex() {
+  if (indexRebuilding) {
+    rebuildIndexBtn.disabled = true;
+    await chrome.runtime.sendMessage({ type: 'CANCEL_INDEX_REBUILD' });
+    rebuildIndexBtn.disabled = false;
+    return;
+  }
+
+  setIndexRebuilding(true);
+  indexStatusText.textContent = 'Path index: re-listing every mount...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REBUILD_INDEX' });
+    if (!response || (!response.success && !response.cancelled)) {
+      throw new Error(response?.error || 'Rebuild failed');
+    }
+  } catch (error) {
+    console.error('Index rebuild error:', error);
+    showSearchStatus(`Index rebuild failed: ${error.message}`, 'error');
+  } finally {
+    setIndexRebuilding(false);
+    refreshIndexStatus();
+  }
+}
+
+function setIndexRebuilding(rebuilding) {
+  indexRebuilding = rebuilding;
+  rebuildIndexBtn.textContent = rebuilding ? 'Cancel rebuild' : 'Rebuild index';
+  rebuildIndexBtn.title = rebuilding
+    ? 'Stop re-listing; the index counts as not built until a rebuild finishes'
+    : 'Re-list every mount and replace the cached path index';
+}
+
+// Human-readable age, e.g. "5 min ago"
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
 // Save current form state to session storage
 function saveFormState() {
   const formState = {
@@ -536,69 +727,306 @@ function restoreFormState() {
 }
 
 // Check for active search when popup opens
-async function checkForActiveSearch() {
+function checkForActiveSearch() {
+  const activeSearchId = sessionStorage.getItem('activeSearchId');
+  const activeSearchTerm = sessionStorage.getItem('activeSearchTerm');
+
+  if (activeSearchId) {
+    console.log('[Popup] Resuming active search:', activeSearchId);
+    currentSearchId = activeSearchId;
+
+    if (activeSearchTerm) {
+      searchTermInput.value = activeSearchTerm;
+    }
+
+    // The snapshot tells us whether it is still running
+    subscribeToSearch(activeSearchId);
+  }
+}
+
+// Open the event port to the background (again after a service worker restart)
+function connectSearchPort() {
+  searchPort = chrome.runtime.connect({ name: 'vault-search-events' });
+  searchPort.onMessage.addListener(handleSearchEvent);
+  searchPort.onDisconnect.addListener(() => {
+    searchPort = null;
+    if (searchRunning && currentSearchId) {
+      setTimeout(() => subscribeToSearch(currentSearchId), 500);
+    }
+  });
+}
+
+// Ask for a snapshot of a search; live events follow on the same port
+function subscribeToSearch(searchId) {
+  if (!searchPort) connectSearchPort();
+  snapshotReceived = false;
+  searchPort.postMessage({ type: 'SUBSCRIBE', searchId });
+}
+
+// Handle an event pushed by the background search engine
+function handleSearchEvent(event) {
+  if (!currentSearchId || event.searchId !== currentSearchId) return;
+
+  if (event.type === 'snapshot') {
+    handleSearchSnapshot(event);
+    return;
+  }
+
+  // Anything sent before the snapshot is already part of it
+  if (!snapshotReceived) return;
+
+  switch (event.type) {
+    case 'result':
+      renderSearchResult(event.result);
+      updateRunningStatus();
+      break;
+
+    case 'removed':
+      removeSearchResults(event.path, event.exact);
+      updateRunningStatus();
+      break;
+
+    case 'progress':
+      searchProgress = event.progress;
+      updateRunningStatus();
+      break;
+
+    case 'done':
+      searchProgress = event.progress || searchProgress;
+      finishSearchUI(event.status);
+      break;
+
+    case 'error':
+      finishSearchUI('error', event.error);
+      break;
+  }
+}
+
+function handleSearchSnapshot(snapshot) {
+  if (snapshot.status === 'not_found') {
+    // Only worth mentioning if we were waiting on it
+    const wasRunning = searchRunning;
+    currentSearchId = null;
+    clearActiveSearch();
+    if (wasRunning) {
+      setSearchRunningUI(false);
+      showSearchStatus('Search expired. Please try again.', 'error');
+    }
+    return;
+  }
+
+  snapshotReceived = true;
+  searchProgress = snapshot.progress || null;
+  currentAudit = snapshot.audit ? { settings: snapshot.audit, scope: snapshot.query } : null;
+  shownQuery = snapshot.query || '';
+  shownOptions = snapshot.options || {};
+  displaySearchResults(snapshot.results || []);
+
+  if (snapshot.status === 'running') {
+    setSearchRunningUI(true);
+    updateRunningStatus();
+  } else {
+    finishSearchUI(snapshot.status, snapshot.error);
+  }
+}
+
+// Search options as set in the form
+function readSearchOptions() {
+  return {
+    mode: matchModeSelect.value,
+    similarity: parseFloat(similarityInput.value) || 0.8,
+    caseInsensitive: caseInsensitiveCheckbox.checked,
+    concurrency: parseInt(concurrencyInput.value, 10) || 24,
+    maxRequestsPerSecond: parseInt(maxRequestsPerSecondInput.value, 10),
+    maxRequests: parseInt(maxRequestsInput.value, 10) || 0,
+    maxSeconds: parseInt(maxSecondsInput.value, 10) || 0,
+    deepScope: deepScanAllCheckbox.checked ? 'all' : 'candidates',
+    searchMetadata: searchMetadataCheckbox.checked,
+    searchHistory: searchHistoryCheckbox.checked,
+    searchEngines: searchEnginesCheckbox.checked,
+    includeNamespaces: includeNamespacesCheckbox.checked,
+    maxVersions: parseInt(maxVersionsInput.value, 10) || 10
+  };
+}
+
+// Put a recent or saved search into the form. Overlay searches bring their mount and prefix
+// filters as query clauses; options only the overlay has (depth, workers) are left out.
+function applySearchEntry(entry) {
+  const options = entry.options || {};
+  searchTermInput.value = searchEntryQuery(entry);
+  matchModeSelect.value = options.mode || 'contains';
+  similarityInput.value = options.similarity || 0.8;
+  caseInsensitiveCheckbox.checked = options.caseInsensitive !== false;
+  if (options.concurrency) concurrencyInput.value = options.concurrency;
+  if (options.deepScope) deepScanAllCheckbox.checked = options.deepScope !== 'candidates';
+  if (options.maxRequestsPerSecond >= 0) maxRequestsPerSecondInput.value = options.maxRequestsPerSecond;
+  maxRequestsInput.value = options.maxRequests || 0;
+  maxSecondsInput.value = options.maxSeconds || 0;
+  searchMetadataCheckbox.checked = !!options.searchMetadata;
+  searchHistoryCheckbox.checked = !!options.searchHistory;
+  searchEnginesCheckbox.checked = !!options.searchEngines;
+  includeNamespacesCheckbox.checked = !!options.includeNamespaces;
+  maxVersionsInput.value = options.maxVersions || 10;
+  similarityGroup.style.display = matchModeSelect.value === 'fuzzy' ? 'block' : 'none';
+  maxVersionsGroup.style.display = searchHistoryCheckbox.checked ? 'block' : 'none';
+}
+
+function runSearchEntry(entry) {
+  if (searchRunning) return;
+  applySearchEntry(entry);
+  handleSearch();
+}
+
+// Pin the search in the form under a name
+async function handleSaveSearch() {
+  const name = saveSearchNameInput.value.trim();
+  const term = searchTermInput.value.trim();
+  if (!name || !term) {
+    showSearchStatus('Enter a search and a name to save it under', 'error');
+    return;
+  }
+
   try {
-    const activeSearchId = sessionStorage.getItem('activeSearchId');
-    const activeSearchTerm = sessionStorage.getItem('activeSearchTerm');
+    const auth = await chrome.runtime.sendMessage({ type: 'GET_AUTH' });
+    await saveNamedSearch(name, createSearchEntry({
+      term,
+      options: readSearchOptions(),
+      vaultUrl: auth?.vaultUrl,
+      namespace: auth?.namespace,
+      source: 'popup'
+    }));
+    saveSearchNameInput.value = '';
+    showSearchStatus('Search saved', 'success');
+  } catch (error) {
+    showSearchStatus(`Error: ${error.message}`, 'error');
+  }
+}
 
-    if (activeSearchId) {
-      console.log('[Popup] Resuming active search:', activeSearchId);
+async function renderSearchLibrary() {
+  const [saved, recent] = await Promise.all([getSavedSearches(), getRecentSearches()]);
+  renderLibraryList(savedSearchList, saved, 'No saved searches yet', entry => deleteSavedSearch(entry.name));
+  renderLibraryList(recentSearchList, recent, 'No recent searches');
+}
 
-      // Check if search still exists
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_SEARCH_RESULTS',
-        searchId: activeSearchId
+// One clickable row per search; saved ones can be deleted
+function renderLibraryList(list, entries, emptyText, onDelete = null) {
+  list.replaceChildren();
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = emptyText;
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('div');
+    item.className = 'library-item';
+    item.title = 'Run this search';
+
+    const text = document.createElement('div');
+    text.className = 'library-text';
+    if (entry.name) {
+      const name = document.createElement('strong');
+      name.textContent = entry.name;
+      text.appendChild(name);
+    }
+    const term = document.createElement('div');
+    term.className = 'library-term';
+    term.textContent = searchEntryQuery(entry);
+    const detail = document.createElement('div');
+    detail.className = 'detail';
+    detail.textContent = describeSearchEntry(entry);
+    text.append(term, detail);
+    if (entry.watch) text.appendChild(createWatchStatus(entry.watch));
+    item.appendChild(text);
+    if (entry.name) item.appendChild(createWatchSelect(entry));
+
+    if (onDelete) {
+      const remove = document.createElement('button');
+      remove.className = 'btn-secondary btn-small';
+      remove.textContent = '✕';
+      remove.title = 'Delete saved search';
+      remove.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await onDelete(entry);
+        renderSearchLibrary();
       });
+      item.appendChild(remove);
+    }
 
-      if (response && response.status !== 'not_found') {
-        // Resume this search
-        currentSearchId = activeSearchId;
+    item.addEventListener('click', () => runSearchEntry(entry));
+    list.appendChild(item);
+  }
+}
 
-        // Update UI
-        if (activeSearchTerm) {
-          searchTermInput.value = activeSearchTerm;
-        }
+// Watch interval of a saved search; the service worker picks the change up from storage
+function createWatchSelect(entry) {
+  const select = document.createElement('select');
+  select.className = 'library-watch';
+  select.title = 'Re-run this search periodically and notify when matches appear or disappear';
+  for (const minutes of [0, ...WATCH_INTERVALS]) {
+    const option = document.createElement('option');
+    option.value = minutes;
+    option.textContent = minutes ? `Watch ${formatWatchInterval(minutes)}` : 'Not watched';
+    select.appendChild(option);
+  }
+  select.value = entry.watch?.intervalMinutes || 0;
+  select.addEventListener('click', (e) => e.stopPropagation());
+  select.addEventListener('change', async () => {
+    await setSavedSearchWatch(entry.name, parseInt(select.value, 10));
+    renderSearchLibrary();
+  });
+  return select;
+}
 
-        if (response.status === 'running') {
-          searchBtn.disabled = true;
-          searchBtn.innerHTML = '⏸️ Searching...';
-          showSearchStatus(
-            `<span class="spinner-inline"></span> Resuming search for "${activeSearchTerm}"...`,
-            'info'
-          );
-
-          // Display current results
-          displaySearchResults(response.results || []);
-
-          // Start polling
-          searchPollingInterval = setInterval(async () => {
-            await pollSearchResults();
-          }, 1000);
-
-          // Immediate poll
-          await pollSearchResults();
-        } else if (response.status === 'completed') {
-          // Show completed results
-          displaySearchResults(response.results || []);
-          showSearchStatus(`✅ Search complete! Found ${response.results.length} result(s)`, 'success');
-          sessionStorage.removeItem('activeSearchId');
-          sessionStorage.removeItem('activeSearchTerm');
-        } else if (response.status === 'error') {
-          showSearchStatus(`Previous search failed: ${response.error}`, 'error');
-          sessionStorage.removeItem('activeSearchId');
-          sessionStorage.removeItem('activeSearchTerm');
-        }
-      } else {
-        // Search expired
-        sessionStorage.removeItem('activeSearchId');
-        sessionStorage.removeItem('activeSearchTerm');
-      }
+// e.g. "Checked 5 min ago: 2 new, 1 gone", with the changed paths as tooltip
+function createWatchStatus(watch) {
+  const status = document.createElement('div');
+  status.className = 'detail';
+  if (!watch.lastRunAt) {
+    status.textContent = 'First check within a minute';
+    return status;
+  }
+  const age = formatAge(Date.now() - watch.lastRunAt);
+  if (watch.error) {
+    status.textContent = `Skipped ${age}: ${watch.error}`;
+    return status;
+  }
+  const changes = [];
+  if (watch.added.length) changes.push(`${watch.added.length} new`);
+  if (watch.removed.length) changes.push(`${watch.removed.length} gone`);
+  status.textContent = `Checked ${age}: ${changes.length ? changes.join(', ') : 'no changes'}`;
+  if (changes.length) {
+    status.classList.add('watch-changed');
+    status.title = [...watch.added.map(path => `+ ${path}`), ...watch.removed.map(path => `- ${path}`)].join('\n');
+  }
+  return status;
+}
+
+// "every 15 min", "hourly", "every 6 h", "daily"
+function formatWatchInterval(minutes) {
+  if (minutes < 60) return `every ${minutes} min`;
+  if (minutes === 60) return 'hourly';
+  if (minutes < 1440) return `every ${minutes / 60} h`;
+  return 'daily';
+}
+
+// e.g. "vault.example.com · admin/team · overlay · 12 result(s) · 3 h ago"
+function describeSearchEntry(entry) {
+  const parts = [];
+  if (entry.vaultUrl) {
+    try {
+      parts.push(new URL(entry.vaultUrl).host);
+    } catch (e) {
+      parts.push(entry.vaultUrl);
     }
-  } catch (error) {
-    console.error('Error checking for active search:', error);
-    sessionStorage.removeItem('activeSearchId');
-    sessionStorage.removeItem('activeSearchTerm');
   }
+  if (entry.namespace) parts.push(entry.namespace);
+  if (entry.source === 'overlay') parts.push('overlay');
+  if (entry.resultCount !== null && entry.resultCount !== undefined) parts.push(`${entry.resultCount} result(s)`);
+  parts.push(formatAge(Date.now() - entry.at));
+  return parts.join(' · ');
 }
 
 // Handle search button click
@@ -610,27 +1038,40 @@ async function handleSearch() {
     return;
   }
 
-  // Clear previous search polling and state
-  if (searchPollingInterval) {
-    clearInterval(searchPollingInterval);
-    searchPollingInterval = null;
-  }
+  startSearchJob(term, readSearchOptions());
+}
+
+// Audit the secrets in scope: all readable ones, or those the query matches
+function handleAudit() {
+  const settings = {
+    rotationDays: parseInt(auditRotationDaysInput.value, 10),
+    minPasswordLength: parseInt(auditMinPasswordLengthInput.value, 10),
+    certExpiryDays: parseInt(auditCertExpiryDaysInput.value, 10)
+  };
+  startSearchJob(searchTermInput.value.trim(), { ...readSearchOptions(), audit: normalizeAuditSettings(settings) });
+}
 
-  // Clear old search ID
+// Start a search (or audit) in the background and follow its events
+async function startSearchJob(term, options) {
+  // Forget the previous search
   if (currentSearchId) {
-    sessionStorage.removeItem('activeSearchId');
-    sessionStorage.removeItem('activeSearchTerm');
+    clearActiveSearch();
     currentSearchId = null;
   }
 
-  // Lock UI during search
-  lockUI(true);
-
-  searchBtn.disabled = true;
+  setSearchRunningUI(true);
   searchBtn.innerHTML = '🔄 Starting search...';
-  cancelBtn.style.display = 'block';
   searchResults.innerHTML = '';
-  showSearchStatus('<span class="spinner-inline"></span> Starting background search...', 'info');
+  renderedRows.clear();
+  renderedResults.clear();
+  resultsExport.style.display = 'none';
+  closeSecretViewer();
+  searchProgress = null;
+  currentAudit = options.audit ? { settings: options.audit, scope: term || AUDIT_ALL_SECRETS } : null;
+  shownQuery = term || (options.audit ? AUDIT_ALL_SECRETS : '');
+  shownOptions = options;
+  auditExport.style.display = 'none';
+  showSearchStatus('Starting background search...', 'info', { spinner: true });
 
   try {
     // Get auth from background
@@ -638,21 +1079,12 @@ async function handleSearch() {
 
     if (!authResponse || !authResponse.authenticated) {
       showSearchStatus('Not authenticated. Please configure in Settings tab.', 'error');
-      lockUI(false);
-      searchBtn.disabled = false;
-      searchBtn.innerHTML = '🔍 Search Vault';
-      cancelBtn.style.display = 'none';
+      setSearchRunningUI(false);
       return;
     }
 
     const { vaultUrl, token, namespace } = authResponse;
 
-    // Get search options
-    const options = {
-      exactMatch: exactMatchCheckbox.checked,
-      caseInsensitive: caseInsensitiveCheckbox.checked
-    };
-
     // Start search in background
     const searchResponse = await chrome.runtime.sendMessage({
       type: 'START_SEARCH',
@@ -666,55 +1098,127 @@ async function handleSearch() {
       sessionStorage.setItem('activeSearchId', currentSearchId);
       sessionStorage.setItem('activeSearchTerm', term);
 
-      showSearchStatus('<span class="spinner-inline"></span> Search running in background... (you can close this popup)', 'info');
+      showSearchStatus('Search running in background... (you can close this popup)', 'info', { spinner: true });
       searchBtn.innerHTML = '⏸️ Searching...';
 
-      // Poll for results
-      searchPollingInterval = setInterval(async () => {
-        await pollSearchResults();
-      }, 1000); // Check every second
-
-      // Initial poll
-      await pollSearchResults();
+      // Results are pushed from here on
+      subscribeToSearch(currentSearchId);
     } else {
-      throw new Error('Failed to start search');
+      throw new Error(searchResponse.error || 'Failed to start search');
     }
 
   } catch (error) {
     console.error('Search error:', error);
     showSearchStatus(`Error: ${error.message}`, 'error');
-    lockUI(false);
-    searchBtn.disabled = false;
-    searchBtn.innerHTML = '🔍 Search Vault';
-    cancelBtn.style.display = 'none';
+    setSearchRunningUI(false);
   }
 }
 
 // Handle cancel search
-function handleCancelSearch() {
-  // Stop polling
-  if (searchPollingInterval) {
-    clearInterval(searchPollingInterval);
-    searchPollingInterval = null;
+async function handleCancelSearch() {
+  if (!currentSearchId) {
+    finishSearchUI('cancelled');
+    return;
   }
 
-  // Clear search state
-  if (currentSearchId) {
-    sessionStorage.removeItem('activeSearchId');
-    sessionStorage.removeItem('activeSearchTerm');
-    currentSearchId = null;
+  // Abort the search in the background, keeping whatever it found so far.
+  // The 'done' event usually arrives first and updates the UI.
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'CANCEL_SEARCH',
+      searchId: currentSearchId
+    });
+  } catch (error) {
+    console.error('Error cancelling search:', error);
   }
 
-  // Unlock UI
-  lockUI(false);
+  if (searchRunning) {
+    finishSearchUI('cancelled');
+  }
+}
 
-  // Reset buttons
-  searchBtn.disabled = false;
-  searchBtn.innerHTML = '🔍 Search Vault';
-  cancelBtn.style.display = 'none';
+// Toggle buttons and inputs between running and idle
+function setSearchRunningUI(running) {
+  searchRunning = running;
+  lockUI(running);
+  searchBtn.disabled = running;
+  auditBtn.disabled = running;
+  searchBtn.innerHTML = running ? '⏸️ Searching...' : '🔍 Search Vault';
+  cancelBtn.style.display = running ? 'block' : 'none';
+}
 
-  // Show cancelled message
-  showSearchStatus('Search cancelled', 'info');
+function updateRunningStatus() {
+  if (!searchRunning) return;
+  const term = sessionStorage.getItem('activeSearchTerm') || 'search';
+  const found = currentAudit ? `Auditing... ${renderedRows.size} secret(s) with findings` : `Found ${renderedRows.size} result(s) for "${term}"...`;
+  showSearchStatus(`${found} (continues in background)`, 'info', {
+    spinner: true,
+    detail: searchProgress ? formatSearchProgress(searchProgress) : ''
+  });
+}
+
+// e.g. "Phase 2/2: 1,200/4,000 secrets read (30%) · 2/5 mounts done · 3 denied · 1m 04s"
+function formatSearchProgress(progress) {
+  const parts = [];
+
+  if (progress.phase === 'read') {
+    const percent = progress.secretsQueued ? Math.floor(progress.secretsRead / progress.secretsQueued * 100) : 100;
+    parts.push(`Phase 2/2: ${progress.secretsRead.toLocaleString()}/${progress.secretsQueued.toLocaleString()} secrets read (${percent}%)`);
+  } else {
+    parts.push(`Phase 1/2: ${progress.foldersListed.toLocaleString()}/${progress.foldersQueued.toLocaleString()} folders listed`);
+  }
+
+  parts.push(`${progress.mountsDone}/${progress.totalMounts} mounts done`);
+  if (progress.denied) parts.push(`${progress.denied} denied`);
+  if (progress.errors) parts.push(`${progress.errors} error(s)`);
+  if (progress.retries) parts.push(`${progress.retries} retried`);
+  parts.push(formatDuration((progress.finishedAt || Date.now()) - progress.startedAt));
+
+  return parts.join(' · ');
+}
+
+// e.g. "45s" or "2m 05s"
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Show the final state of a search
+function finishSearchUI(status, error) {
+  clearActiveSearch();
+  setSearchRunningUI(false);
+
+  if (status === 'completed') {
+    const summary = searchProgress
+      ? ` in ${formatDuration((searchProgress.finishedAt || Date.now()) - searchProgress.startedAt)}` +
+        (searchProgress.denied ? ` (${searchProgress.denied} path(s) denied)` : '')
+      : '';
+    if (searchProgress?.stoppedBy) {
+      const budget = searchProgress.stoppedBy === 'time' ? 'time budget' : `budget of ${searchProgress.requests.toLocaleString()} requests`;
+      showSearchStatus(`Search stopped at its ${budget}. Showing ${renderedRows.size} partial result(s)${summary}`, 'info');
+    } else if (currentAudit) {
+      showSearchStatus(`✅ Audit complete! ${renderedRows.size} secret(s) with findings${summary}`, 'success');
+    } else {
+      showSearchStatus(`✅ Search complete! Found ${renderedRows.size} result(s)${summary}`, 'success');
+    }
+    refreshIndexStatus();
+  } else if (status === 'cancelled') {
+    if (renderedRows.size > 0) {
+      showSearchStatus(`Search cancelled. Showing ${renderedRows.size} partial result(s)`, 'info');
+    } else {
+      searchResults.innerHTML = '';
+      showSearchStatus('Search cancelled', 'info');
+    }
+  } else if (status === 'error') {
+    showSearchStatus(`Error: ${error}`, 'error');
+  }
+  auditExport.style.display = currentAudit && renderedResults.size ? 'inline' : 'none';
+}
+
+function clearActiveSearch() {
+  sessionStorage.removeItem('activeSearchId');
+  sessionStorage.removeItem('activeSearchTerm');
 }
 
 // Lock/unlock UI during search
@@ -722,7 +1226,21 @@ function lockUI(lock) {
   const elementsToLock = [
     searchTermInput,
     caseInsensitiveCheckbox,
-    exactMatchCheckbox,
+    matchModeSelect,
+    similarityInput,
+    concurrencyInput,
+    maxRequestsPerSecondInput,
+    maxRequestsInput,
+    maxSecondsInput,
+    deepScanAllCheckbox,
+    searchMetadataCheckbox,
+    searchHistoryCheckbox,
+    searchEnginesCheckbox,
+    includeNamespacesCheckbox,
+    maxVersionsInput,
+    auditRotationDaysInput,
+    auditMinPasswordLengthInput,
+    auditCertExpiryDaysInput,
     ...document.querySelectorAll('.main-tab'),
     ...document.querySelectorAll('.auth-tab'),
     vaultUrlInput,
@@ -735,7 +1253,8 @@ function lockUI(lock) {
     ldapPasswordInput,
     ldapMountInput,
     saveBtn,
-    clearBtn
+    clearBtn,
+    rebuildIndexBtn
   ];
 
   elementsToLock.forEach(el => {
@@ -753,122 +1272,402 @@ function lockUI(lock) {
   });
 }
 
-// Poll for search results from background
-async function pollSearchResults() {
-  if (!currentSearchId) return;
+// Display search results
+function displaySearchResults(results) {
+  searchResults.innerHTML = '';
+  renderedRows.clear();
+  renderedResults.clear();
+  resultsExport.style.display = 'none';
 
-  try {
+  if (results.length === 0) {
+    searchResults.innerHTML = '<div class="result-item results-placeholder"><div class="detail">Searching... Results will appear here</div></div>';
+    return;
+  }
+
+  for (const result of results) {
+    renderSearchResult(result);
+  }
+}
+
+// Add a result row, or replace it when the background sends a newer version of the result
+function renderSearchResult(result) {
+  searchResults.querySelector('.results-placeholder')?.remove();
+
+  const div = document.createElement('div');
+  div.className = 'result-item';
+  div.dataset.path = result.path;
+  div.dataset.namespace = result.namespaceLabel || '';
+  div.dataset.score = result.score || 0;
+  div.title = `Score ${result.score || 0} · ${result.scoreReason || 'no score'}`;
+
+  const badges = [
+    result.namespaceLabel && `NS ${result.namespaceLabel}`,
+    result.engine && result.engine !== 'kv' ? `${result.engine.toUpperCase()} ${result.itemKind.toUpperCase()}` : `KV${result.kvVersion}`,
+    result.version && `OLD v${result.version}`,
+    result.capabilities && { text: formatCapabilities(result.capabilities), title: 'Token capabilities' },
+    result.isDirectory && 'FOLDER',
+    result.pathMatches.length && 'PATH',
+    result.keyMatches.length && 'KEY',
+    result.valueMatches.length && 'VALUE',
+    result.metadataMatches.length && 'META',
+    result.findings?.length && result.findings[0].severity.toUpperCase()
+  ].filter(Boolean).map(badge => {
+    const span = document.createElement('span');
+    span.className = 'match-badge';
+    span.textContent = badge.text || badge;
+    if (badge.title) span.title = badge.title;
+    return span;
+  });
+
+  const path = document.createElement('div');
+  path.className = 'path';
+  path.append(result.path, ...badges);
+  div.appendChild(path);
+  if (result.version) {
+    const version = document.createElement('div');
+    version.className = 'detail';
+    version.textContent = `Version ${result.version} written ${formatVersionTime(result.versionCreatedTime)}`;
+    div.appendChild(version);
+  }
+  div.append(...[
+    createMatchReasons('Path', result.pathMatches.map(m => highlightedText(m.text, m.ranges))),
+    createMatchReasons('Keys', result.keyMatches.map(m => highlightedText(m.jsonPath, m.ranges))),
+    result.valueMatches.length && createValueReasons(result),
+    createMatchReasons('Metadata', result.metadataMatches.map(m => `${m.jsonPath}: ${m.value}`)),
+    createMatchReasons('Findings', (result.findings || []).map(f => (f.jsonPath ? `${f.jsonPath}: ${f.message}` : f.message)))
+  ].filter(Boolean));
+  div.addEventListener('click', () => openResult(result));
+
+  renderedRows.get(result.path)?.remove();
+  renderedRows.set(result.path, div);
+  renderedResults.set(result.path, result);
+  insertSorted(searchResults, div, compareResultRows);
+  resultsExport.style.display = 'inline';
+}
+
+// The "Values" line: masked values and a Reveal button that reads them again from Vault, or
+// only the JSON paths when value previews are off
+function createValueReasons(result) {
+  const shown = result.valueMatches.slice(0, 3);
+  const masked = valuePreviewSelect.value !== 'off';
+  const valueSpans = new Map(); // jsonPath -> span showing the value
+  const line = createMatchReasons('Values', result.valueMatches.map(m => {
+    if (!masked) return m.jsonPath;
+    const span = document.createElement('span');
+    span.textContent = m.value;
+    valueSpans.set(m.jsonPath, span);
+    const item = document.createDocumentFragment();
+    item.append(`${m.jsonPath}: `, span);
+    return item;
+  }));
+  if (!masked) return line;
+
+  const button = document.createElement('button');
+  button.className = 'btn-secondary btn-small reveal-btn';
+  button.textContent = 'Reveal';
+  let hideTimer = null;
+  const hide = () => {
+    clearTimeout(hideTimer);
+    shown.forEach(m => { valueSpans.get(m.jsonPath).textContent = m.value; });
+    button.textContent = 'Reveal';
+  };
+  button.addEventListener('click', async (e) => {
+    e.stopPropagation(); // The row itself opens the secret
+    if (button.textContent === 'Hide') {
+      hide();
+      return;
+    }
+    button.disabled = true;
     const response = await chrome.runtime.sendMessage({
-      type: 'GET_SEARCH_RESULTS',
-      searchId: currentSearchId
+      type: 'REVEAL_VALUES', result, jsonPaths: shown.map(m => m.jsonPath), query: shownQuery, options: shownOptions
     });
-
-    if (response.status === 'not_found') {
-      // Search expired or doesn't exist
-      if (searchPollingInterval) {
-        clearInterval(searchPollingInterval);
-        searchPollingInterval = null;
-      }
-      sessionStorage.removeItem('activeSearchId');
-      sessionStorage.removeItem('activeSearchTerm');
-      currentSearchId = null;
-      showSearchStatus('Search expired. Please try again.', 'error');
-      searchBtn.disabled = false;
-      searchBtn.innerHTML = '🔍 Search Vault';
+    button.disabled = false;
+    if (!response?.success) {
+      showSearchStatus(`Could not reveal values: ${response?.error || 'no response'}`, 'error');
       return;
     }
+    shown.forEach(m => {
+      const value = response.values[m.jsonPath];
+      valueSpans.get(m.jsonPath).replaceChildren(value === undefined ? '(no longer there)' : highlightedText(value, response.ranges?.[m.jsonPath]));
+    });
+    button.textContent = 'Hide';
+    const seconds = parseInt(revealSecondsInput.value, 10) || 0;
+    if (seconds > 0) hideTimer = setTimeout(hide, seconds * 1000);
+  });
+  line.appendChild(button);
+  return line;
+}
 
-    // Update results display
-    displaySearchResults(response.results || []);
+// KV secrets open in the secret viewer; folders and other engines' items in the Vault UI
+function openResult(result) {
+  if (result.isDirectory || result.engine !== 'kv') {
+    chrome.tabs.create({ url: result.url });
+    return;
+  }
+  openSecretViewer(result);
+}
 
-    if (response.status === 'completed') {
-      // Search complete
-      if (searchPollingInterval) {
-        clearInterval(searchPollingInterval);
-        searchPollingInterval = null;
-      }
-      sessionStorage.removeItem('activeSearchId');
-      sessionStorage.removeItem('activeSearchTerm');
-      showSearchStatus(`✅ Search complete! Found ${response.results.length} result(s)`, 'success');
-      searchBtn.disabled = false;
-      searchBtn.innerHTML = '🔍 Search Vault';
-      cancelBtn.style.display = 'none';
-      lockUI(false); // Unlock UI
-    } else if (response.status === 'error') {
-      // Search error
-      if (searchPollingInterval) {
-        clearInterval(searchPollingInterval);
-        searchPollingInterval = null;
+// The keys of a result's secret, read with the background's auth, each with a masked value and
+// a copy button; KV2 secrets also show their metadata. Values live only as long as the view.
+async function openSecretViewer(result) {
+  secretViewer.dataset.path = result.path;
+  secretViewer.replaceChildren(createViewerHeading(result), createViewerLine('Reading secret...'));
+  searchResults.style.display = 'none';
+  secretViewer.style.display = 'block';
+
+  const response = await chrome.runtime.sendMessage({ type: 'READ_SECRET', result });
+  if (secretViewer.dataset.path !== result.path) return; // Closed or showing another secret by now
+  secretViewer.lastChild.remove();
+  if (!response?.success) {
+    secretViewer.appendChild(createViewerLine(`Could not read the secret: ${response?.error || 'no response'}`));
+    return;
+  }
+
+  const entries = Object.entries(response.data);
+  if (!entries.length) secretViewer.appendChild(createViewerLine('No keys'));
+  for (const [key, value] of entries) {
+    secretViewer.appendChild(createViewerField(key, typeof value === 'string' ? value : JSON.stringify(value)));
+  }
+  if (response.metadata) secretViewer.append(...createViewerMetadata(response.metadata));
+}
+
+function closeSecretViewer() {
+  delete secretViewer.dataset.path;
+  secretViewer.replaceChildren();
+  secretViewer.style.display = 'none';
+  searchResults.style.display = '';
+}
+
+function createViewerHeading(result) {
+  const heading = document.createElement('div');
+  heading.className = 'viewer-heading';
+  const path = document.createElement('span');
+  path.className = 'path';
+  path.textContent = result.path;
+  const open = document.createElement('button');
+  open.className = 'btn-secondary btn-small';
+  open.textContent = 'Open in Vault UI';
+  open.addEventListener('click', () => chrome.tabs.create({ url: result.url }));
+  const back = document.createElement('button');
+  back.className = 'btn-secondary btn-small';
+  back.textContent = 'Back';
+  back.addEventListener('click', closeSecretViewer);
+  heading.append(path, open, back);
+  return heading;
+}
+
+// One key: masked value, Show (unless value previews are off) and Copy
+function createViewerField(key, value) {
+  const row = document.createElement('div');
+  row.className = 'viewer-field';
+  const name = document.createElement('span');
+  name.className = 'key';
+  name.textContent = key;
+  const shown = document.createElement('span');
+  shown.className = 'value';
+  shown.textContent = MASKED_VALUE;
+  row.append(name, shown);
+
+  if (valuePreviewSelect.value !== 'off') {
+    const reveal = document.createElement('button');
+    reveal.className = 'btn-secondary btn-small';
+    reveal.textContent = 'Show';
+    let hideTimer = null;
+    const hide = () => {
+      clearTimeout(hideTimer);
+      shown.textContent = MASKED_VALUE;
+      reveal.textContent = 'Show';
+    };
+    reveal.addEventListener('click', () => {
+      if (reveal.textContent === 'Hide') {
+        hide();
+        return;
       }
-      sessionStorage.removeItem('activeSearchId');
-      sessionStorage.removeItem('activeSearchTerm');
-      showSearchStatus(`Error: ${response.error}`, 'error');
-      searchBtn.disabled = false;
-      searchBtn.innerHTML = '🔍 Search Vault';
-      cancelBtn.style.display = 'none';
-      lockUI(false); // Unlock UI
-    } else {
-      // Still running - update status
-      const term = sessionStorage.getItem('activeSearchTerm') || 'search';
-      showSearchStatus(
-        `<span class="spinner-inline"></span> Found ${response.results.length} result(s) for "${term}"... (continues in background)`,
-        'info'
-      );
+      shown.textContent = value;
+      reveal.textContent = 'Hide';
+      const seconds = parseInt(revealSecondsInput.value, 10) || 0;
+      if (seconds > 0) hideTimer = setTimeout(hide, seconds * 1000);
+    });
+    row.appendChild(reveal);
+  }
+
+  const copy = document.createElement('button');
+  copy.className = 'btn-secondary btn-small';
+  copy.textContent = 'Copy';
+  copy.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      copy.textContent = 'Copied';
+    } catch (error) {
+      copy.textContent = 'Copy failed';
     }
-  } catch (error) {
-    console.error('Error polling results:', error);
+    setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+  });
+  row.appendChild(copy);
+  return row;
+}
+
+// KV2 metadata: current version and times, custom_metadata, then every version newest first
+function createViewerMetadata(metadata) {
+  const versions = Object.entries(metadata.versions || {}).sort(([a], [b]) => b - a);
+  const nodes = [
+    createViewerLine(`Version ${metadata.current_version} of ${versions.length} · created ${formatVersionTime(metadata.created_time)} · updated ${formatVersionTime(metadata.updated_time)}`, 'Metadata')
+  ];
+  const custom = Object.entries(metadata.custom_metadata || {});
+  if (custom.length) {
+    nodes.push(createViewerLine(custom.map(([key, value]) => `${key}: ${value}`).join(' • '), 'Custom metadata'));
   }
+  nodes.push(createViewerLine(versions.map(([version, v]) => {
+    const state = v.destroyed ? ' (destroyed)' : v.deletion_time ? ` (deleted ${formatVersionTime(v.deletion_time)})` : '';
+    return `v${version} ${formatVersionTime(v.created_time)}${state}`;
+  }).join(' • '), 'Versions'));
+  return nodes;
 }
 
-// Display search results
-function displaySearchResults(results) {
-  searchResults.innerHTML = '';
+// A line of plain text, under a section title if given
+function createViewerLine(text, title) {
+  const line = document.createElement('div');
+  line.className = 'detail';
+  line.textContent = text;
+  if (!title) return line;
+  const section = document.createElement('div');
+  section.className = 'viewer-section';
+  section.textContent = title;
+  const group = document.createDocumentFragment();
+  group.append(section, line);
+  return group;
+}
 
-  if (results.length === 0) {
-    searchResults.innerHTML = '<div class="result-item"><div class="detail">Searching... Results will appear here</div></div>';
-    return;
+// e.g. "READ/LIST"; results the token can see but do nothing with say so
+function formatCapabilities(capabilities) {
+  return capabilities.length ? capabilities.join('/').toUpperCase() : 'NO ACCESS';
+}
+
+function formatVersionTime(createdTime) {
+  const time = Date.parse(createdTime);
+  return time ? new Date(time).toLocaleString() : 'at an unknown time';
+}
+
+// One "Keys: a • b • +3 more" line of match evidence; items are text or DOM nodes. null without items.
+function createMatchReasons(label, items) {
+  if (!items.length) return null;
+  const line = document.createElement('div');
+  line.className = 'detail reasons';
+  const heading = document.createElement('strong');
+  heading.textContent = `${label}:`;
+  line.append(heading, ' ');
+  items.slice(0, 3).forEach((item, i) => line.append(...(i ? [' • ', item] : [item])));
+  if (items.length > 3) line.append(` • +${items.length - 3} more`);
+  return line;
+}
+
+// Grouped by namespace (the configured one first), then relevance: higher score first, then path;
+// path order: alphabetical
+function compareResultRows(a, b) {
+  const group = a.dataset.namespace.localeCompare(b.dataset.namespace);
+  if (group) return group;
+  if (sortOrderSelect.value === 'relevance') {
+    const diff = Number(b.dataset.score) - Number(a.dataset.score);
+    if (diff) return diff;
   }
+  return a.dataset.path.localeCompare(b.dataset.path);
+}
 
-  // Remove duplicates by path
-  const uniqueResults = [];
-  const seenPaths = new Set();
+// Binary-search the row's place so streamed results stay ordered
+function insertSorted(container, row, compare) {
+  const rows = container.children;
+  let lo = 0, hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (compare(rows[mid], row) <= 0) lo = mid + 1;
+    else hi = mid;
+  }
+  container.insertBefore(row, rows[lo] || null);
+}
 
-  for (const result of results) {
-    if (!seenPaths.has(result.path)) {
-      seenPaths.add(result.path);
-      uniqueResults.push(result);
+function sortSearchResults() {
+  const rows = [...searchResults.querySelectorAll('.result-item[data-path]')];
+  rows.sort(compareResultRows).forEach(row => searchResults.appendChild(row));
+}
+
+// Drop rows for a path (and, unless exact, anything below it) that no longer exists in Vault or no longer matches
+function removeSearchResults(path, exact = false) {
+  for (const row of searchResults.querySelectorAll('.result-item[data-path]')) {
+    const rowPath = row.dataset.path;
+    if (rowPath === path || (!exact && rowPath.startsWith(`${path}/`))) {
+      renderedRows.delete(rowPath);
+      renderedResults.delete(rowPath);
+      row.remove();
     }
   }
+  resultsExport.style.display = renderedResults.size ? 'inline' : 'none';
+}
 
-  for (const result of uniqueResults) {
-    const div = document.createElement('div');
-    div.className = 'result-item';
+// Download the shown results (export.js); matched values are read again from Vault only when asked for
+async function exportSearchResults() {
+  const results = [...renderedResults.values()];
+  const format = exportFormatSelect.value;
+  let values = null;
+  if (exportValuesCheckbox.checked && !exportValuesCheckbox.disabled) {
+    values = {};
+    const withValues = results.filter(result => result.valueMatches.length);
+    exportResultsBtn.disabled = true;
+    try {
+      for (const [i, result] of withValues.entries()) {
+        showSearchStatus(`Reading values for the export... ${i + 1}/${withValues.length}`, 'info', { spinner: true });
+        const response = await chrome.runtime.sendMessage({ type: 'REVEAL_VALUES', result, jsonPaths: result.valueMatches.map(m => m.jsonPath), full: true });
+        if (!response?.success) throw new Error(`${result.path}: ${response?.error || 'no response'}`);
+        values[result.path] = response.values;
+      }
+    } catch (error) {
+      showSearchStatus(`Export failed: ${error.message}`, 'error');
+      return;
+    } finally {
+      exportResultsBtn.disabled = false;
+    }
+  }
 
-    const matchBadge = result.matchType === 'path'
-      ? '<span style="background: #f0f0f0; padding: 2px 6px; border-radius: 3px; font-size: 11px; margin-left: 8px;">PATH</span>'
-      : '<span style="background: #f0f0f0; padding: 2px 6px; border-radius: 3px; font-size: 11px; margin-left: 8px;">CONTENT</span>';
+  downloadFile(exportFileName('vault-results', format), EXPORT_FORMATS[format].type, exportResults(results, format, { query: shownQuery, values }));
+  showSearchStatus(`Exported ${results.length} result(s)${values ? ' with values' : ''}`, 'success');
+}
 
-    div.innerHTML = `
-      <div class="path">${result.path}${matchBadge}</div>
-      ${result.matches ? `<div class="detail" style="margin-top: 4px; font-size: 11px;">${result.matches.join(' • ')}</div>` : ''}
-    `;
-    div.addEventListener('click', () => {
-      chrome.tabs.create({ url: result.url });
-    });
-    searchResults.appendChild(div);
-  }
+// Download the shown audit as a report grouped by mount (audit.js)
+async function exportAuditReport(format) {
+  if (!currentAudit) return;
+  const auth = await chrome.runtime.sendMessage({ type: 'GET_AUTH' });
+  const report = buildAuditReport([...renderedResults.values()], {
+    vaultUrl: auth?.vaultUrl || '',
+    namespace: auth?.namespace,
+    scope: currentAudit.scope,
+    settings: currentAudit.settings
+  });
+  const text = format === 'csv' ? auditReportCsv(report) : JSON.stringify(report, null, 2);
+  downloadFile(exportFileName('vault-audit', format), EXPORT_FORMATS[format].type, text);
 }
 
-// Show search status
-function showSearchStatus(message, type) {
-  searchStatus.innerHTML = message;
+// Show search status; the message and detail line are plain text (they may quote the term or Vault errors)
+function showSearchStatus(message, type, { spinner = false, detail = '' } = {}) {
+  searchStatus.replaceChildren();
+  if (spinner) {
+    const icon = document.createElement('span');
+    icon.className = 'spinner-inline';
+    searchStatus.append(icon, ' ');
+  }
+  searchStatus.append(message);
+  if (detail) {
+    const line = document.createElement('div');
+    line.className = 'detail';
+    line.textContent = detail;
+    searchStatus.appendChild(line);
+  }
   searchStatus.className = `search-status ${type}`;
 
   // Don't auto-hide for running searches
   if (type === 'success' || (type === 'error' && !message.includes('Search running'))) {
+    const shown = searchStatus.textContent;
     setTimeout(() => {
-      if (searchStatus.innerHTML === message) { // Only clear if message hasn't changed
-        searchStatus.innerHTML = '';
+      if (searchStatus.textContent === shown) { // Only clear if message hasn't changed
+        searchStatus.replaceChildren();
       }
     }, 5000);
   }
@@ -0,0 +1,606 @@
+/**
+ * Vault Secret Search - Query Language
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Parses search queries such as `mount:team-kv/ path:prod/* key:password -value:/^changeme$/`
+ *              and compiles them into the filters and matchers used by both search engines.
+ *              Depends on matching.js and engines.js.
+ *
+ * Syntax:
+ *   word, "quoted phrase", /regex/i   Match the path, a key name or a value
+ *   mount:team-kv/                    Mount name starts with the text
+ *   path:prod/*                       Path (relative to the mount, or full); * and ? are wildcards
+ *   key:password                      Key name anywhere in the secret
+ *   value:/^AKIA/                     Value anywhere in the secret
+ *   kv:1, kv:2                        KV engine version
+ *   engine:transit                    Secrets engine type (kv, or one of engines.js when other engines are searched)
+ *
+ * KV2 metadata (read from metadata/ only when a query needs it):
+ *   meta:alice, meta.owner:alice      custom_metadata key or value; value of one key
+ *   updated:<7d, created:>2024-01-01  Age (s m h d w) or date; also a..b ranges
+ *   version:>3                        current_version
+ *   delete_after:none, :<30d          delete_version_after (none = never)
+ *
+ *   -clause, NOT clause               Negation
+ *   a b, a AND b, a OR b, ( ... )     Grouping; AND binds tighter than OR
+ *
+ * Plain text without any of this syntax is one term, exactly as before.
+ */
+
+const METADATA_FIELDS = ['meta', 'created', 'updated', 'version', 'delete_after'];
+const QUERY_FIELDS = ['mount', 'path', 'key', 'value', 'kv', 'engine', ...METADATA_FIELDS];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Only switch to query parsing when the input uses query syntax
+function looksLikeQuery(input) {
+  return new RegExp(`(^|[\\s(])-?(${QUERY_FIELDS.join('|')})(\\.[^\\s:]+)?:`, 'i').test(input) ||
+    /(^|\s)(AND|OR|NOT)(\s|$)/.test(input) ||
+    /(^|[\s(])-\S/.test(input) ||
+    /(^|[\s(])"/.test(input) ||
+    /(^|[\s(])\/.+\/[a-z]*($|[\s)])/.test(input);
+}
+
+// Split a query into tokens: ( ) - AND OR NOT and { field, text, quoted, regex } terms
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  // Quoted phrase with \" escapes
+  function readQuoted() {
+    let text = '';
+    i++;
+    while (i < input.length && input[i] !== '"') {
+      if (input[i] === '\\' && i + 1 < input.length) i++;
+      text += input[i++];
+    }
+    if (i >= input.length) throw new Error('Unterminated quoted phrase');
+    i++;
+    return { text, quoted: true };
+  }
+
+  // /pattern/flags with \/ escapes
+  function readRegex() {
+    let source = '';
+    i++;
+    while (i < input.length && input[i] !== '/') {
+      if (input[i] === '\\' && input[i + 1] === '/') i++;
+      else if (input[i] === '\\') source += input[i++];
+      source += input[i++];
+    }
+    if (i >= input.length) throw new Error('Unterminated /regex/');
+    i++;
+    let flags = '';
+    while (i < input.length && /[a-z]/.test(input[i])) flags += input[i++];
+    return { text: source, regex: { source, flags } };
+  }
+
+  // Bare word up to whitespace; a ")" only ends it if it wasn't opened inside the word
+  function readBare() {
+    let text = '';
+    let depth = 0;
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '(') depth++;
+      if (input[i] === ')' && depth-- === 0) break;
+      text += input[i++];
+    }
+    return { text };
+  }
+
+  function readValue() {
+    if (input[i] === '"') return readQuoted();
+    if (input[i] === '/' && input.indexOf('/', i + 1) > i) return readRegex();
+    return readBare();
+  }
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i++; continue; }
+    if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+      continue;
+    }
+
+    // field: or meta.<key>:
+    const field = /^([a-z_]+)(?:\.([^\s:]+))?:/i.exec(input.slice(i));
+    if (field && QUERY_FIELDS.includes(field[1].toLowerCase()) && (!field[2] || field[1].toLowerCase() === 'meta')) {
+      i += field[0].length;
+      const value = readValue();
+      if (!value.text) throw new Error(`Missing value for ${field[0]}`);
+      tokens.push({ type: 'term', field: field[1].toLowerCase(), subkey: field[2] || null, ...value });
+      continue;
+    }
+
+    const value = readValue();
+    if (!value.quoted && !value.regex && ['AND', 'OR', 'NOT'].includes(value.text)) {
+      tokens.push({ type: value.text.toLowerCase() });
+    } else if (value.text) {
+      tokens.push({ type: 'term', field: 'any', ...value });
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive descent over the tokens. Nodes:
+//   { op: 'or' | 'and', items }, { op: 'not', item }, { op: 'term', field, text, quoted, regex, glob }
+function parseQuery(input, options = {}) {
+  const source = String(input || '').trim();
+  if (!source) throw new Error('Search term is empty');
+
+  if (!looksLikeQuery(source)) {
+    const patternError = validatePattern(source, options.mode || 'contains');
+    if (patternError) throw new Error(patternError);
+    return { op: 'term', field: 'any', text: source };
+  }
+
+  const tokens = tokenizeQuery(source);
+  let pos = 0;
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (tokens[pos]?.type === 'or') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { op: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (pos < tokens.length && tokens[pos].type !== 'or' && tokens[pos].type !== ')') {
+      if (tokens[pos].type === 'and') pos++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { op: 'and', items };
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Query ends too early');
+    if (token.type === 'not') return { op: 'not', item: parseUnary() };
+    if (token.type === '(') {
+      if (tokens[pos]?.type === ')') throw new Error('Empty ( ) group');
+      const node = parseOr();
+      if (tokens[pos++]?.type !== ')') throw new Error('Missing closing )');
+      return node;
+    }
+    if (token.type === 'term') return compileQueryTerm(token, options);
+    throw new Error(`Unexpected ${token.type === ')' ? ')' : token.type.toUpperCase()}`);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].type === ')' ? ')' : tokens[pos].type.toUpperCase()}`);
+  return ast;
+}
+
+// Validate a term and precompile its regex or path glob
+function compileQueryTerm(token, options) {
+  const term = { op: 'term', field: token.field, subkey: token.subkey || null, text: token.text, quoted: !!token.quoted, regex: null, glob: null };
+
+  if (token.regex) {
+    // g and y make test() stateful across calls
+    let flags = token.regex.flags.replace(/[gy]/g, '');
+    if (options.caseInsensitive && !flags.includes('i')) flags += 'i';
+    try {
+      term.regex = new RegExp(token.regex.source, flags);
+    } catch (e) {
+      throw new Error(`Invalid regex: ${e.message}`);
+    }
+  } else if (token.field === 'kv') {
+    if (token.text !== '1' && token.text !== '2') throw new Error('kv: must be 1 or 2');
+  } else if (token.field === 'engine') {
+    term.text = token.text.toLowerCase();
+    if (!['kv', ...SEARCHABLE_ENGINES].includes(term.text)) throw new Error(`engine: must be one of kv, ${SEARCHABLE_ENGINES.join(', ')}`);
+  } else if (['created', 'updated', 'version', 'delete_after'].includes(token.field)) {
+    term.range = parseQueryRange(token.field, token.text);
+  } else if (token.field === 'path' && !token.quoted && /[*?]/.test(token.text)) {
+    const pattern = token.text.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    term.glob = new RegExp(`^${pattern}$`, options.caseInsensitive ? 'i' : '');
+  } else if (!token.quoted && token.field !== 'mount') {
+    const patternError = validatePattern(token.text, options.mode || 'contains');
+    if (patternError) throw new Error(patternError);
+  }
+
+  return term;
+}
+
+// "30d", "12h", "2w" -> ms; Vault's "720h0m0s" also works. null if not a duration.
+function parseDuration(text) {
+  const parts = String(text).match(/^(\d+(?:\.\d+)?(?:ms|[smhdw]))+$/) && String(text).match(/\d+(?:\.\d+)?(?:ms|[smhdw])/g);
+  if (!parts) return null;
+  return parts.reduce((sum, part) => {
+    const [, n, unit] = /^(\d+(?:\.\d+)?)(ms|[smhdw])$/.exec(part);
+    return sum + Number(n) * DURATION_UNITS[unit];
+  }, 0);
+}
+
+// Comparison clause -> { min, max, minInclusive, maxInclusive, label } over numbers:
+//   created/updated: epoch ms. "<7d" = newer than 7 days, "<2024-01-01" = before that date
+//   version: current_version.  delete_after: ms, "none" = 0 (never deleted)
+function parseQueryRange(field, text) {
+  const label = `${field}:${text}`;
+  const isTime = field === 'created' || field === 'updated';
+
+  // A bound value, plus whether it's an age (which flips < and > for timestamps)
+  const parseBound = (value) => {
+    if (field === 'version') {
+      if (!/^\d+$/.test(value)) throw new Error(`${field}: needs a version number, got "${value}"`);
+      return { n: Number(value), age: false };
+    }
+    if (field === 'delete_after' && value === 'none') return { n: 0, age: false };
+    const duration = parseDuration(value);
+    if (duration !== null) return isTime ? { n: Date.now() - duration, age: true } : { n: duration, age: false };
+    if (isTime && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value))) return { n: Date.parse(value), age: false, day: value.length === 10 };
+    throw new Error(`${field}: can't read "${value}" (use e.g. 7d, 12h${isTime ? ', 2024-01-01' : ''})`);
+  };
+
+  if (field === 'delete_after' && text === 'set') return { min: 0, max: Infinity, minInclusive: false, maxInclusive: true, label };
+
+  const range = /^(.+)\.\.(.+)$/.exec(text);
+  if (range) {
+    const [a, b] = [parseBound(range[1]).n, parseBound(range[2]).n].sort((x, y) => x - y);
+    return { min: a, max: b, minInclusive: true, maxInclusive: true, label };
+  }
+
+  const [, op = '=', value] = /^(>=|<=|>|<|=)?(.+)$/.exec(text);
+  const bound = parseBound(value);
+  // For an age, "<7d" means the timestamp is after now - 7d
+  const flipped = bound.age ? { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' }[op] : op;
+  switch (flipped) {
+    case '<': return { min: -Infinity, max: bound.n, minInclusive: true, maxInclusive: false, label };
+    case '<=': return { min: -Infinity, max: bound.n, minInclusive: true, maxInclusive: true, label };
+    case '>': return { min: bound.n, max: Infinity, minInclusive: false, maxInclusive: true, label };
+    case '>=': return { min: bound.n, max: Infinity, minInclusive: true, maxInclusive: true, label };
+    default:
+      // A bare date covers that whole day
+      if (bound.day) return { min: bound.n, max: bound.n + DURATION_UNITS.d, minInclusive: true, maxInclusive: false, label };
+      return { min: bound.n, max: bound.n, minInclusive: true, maxInclusive: true, label };
+  }
+}
+
+function inQueryRange(range, n) {
+  if (n === null || n === undefined || isNaN(n)) return false;
+  return (range.minInclusive ? n >= range.min : n > range.min) &&
+    (range.maxInclusive ? n <= range.max : n < range.max);
+}
+
+// The number a range clause compares against, from a KV2 metadata response
+function metadataRangeValue(field, metadata) {
+  switch (field) {
+    case 'created': return Date.parse(metadata.created_time);
+    case 'updated': return Date.parse(metadata.updated_time);
+    case 'version': return metadata.current_version;
+    case 'delete_after': return parseDuration(metadata.delete_version_after || '0s') || 0;
+  }
+}
+
+// custom_metadata hits for a meta: term (or a plain term when metadata search is on)
+function collectMetadataMatches(term, metadata, options, matches) {
+  const custom = metadata?.custom_metadata || {};
+  const fold = s => (options.caseInsensitive ? s.toLowerCase() : s);
+  for (const [key, value] of Object.entries(custom)) {
+    const jsonPath = `custom_metadata.${key}`;
+    if (matches.some(m => m.jsonPath === jsonPath)) continue;
+    if (term.subkey && fold(key) !== fold(term.subkey)) continue;
+    const quality = (!term.subkey && termQuality(term, key, options)) || termQuality(term, String(value), options);
+    if (quality) matches.push({ jsonPath, value, on: 'metadata', score: scoreMatch(quality, 'metadata'), reason: describeMatch(quality, 'metadata') });
+  }
+  return matches;
+}
+
+// Evidence for a range clause that held, e.g. "updated_time matches updated:<7d"
+function metadataRangeEvidence(term, metadata) {
+  const jsonPath = { created: 'created_time', updated: 'updated_time', version: 'current_version', delete_after: 'delete_version_after' }[term.field];
+  return { jsonPath, value: metadata[jsonPath], on: 'metadata', score: 0, reason: `${jsonPath} matches ${term.range.label}` };
+}
+
+// How one term matches a string under the search's match mode: { type, similarity } or null
+function termQuality(term, text, options) {
+  if (term.regex) return regexQuality(term.regex, text);
+  if (term.quoted) return matchQuality(text, term.text, { ...options, mode: options.mode === 'exact' ? 'exact' : 'contains' });
+  return matchQuality(text, term.text, options);
+}
+
+// Spans of a text one term matched, see matchRanges()
+function termRanges(term, text, options) {
+  if (term.glob) return term.glob.test(text) ? [[0, text.length]] : [];
+  if (term.regex) return regexRanges(term.regex, text);
+  if (term.quoted) return matchRanges(text, term.text, { ...options, mode: options.mode === 'exact' ? 'exact' : 'contains' });
+  return matchRanges(text, term.text, options);
+}
+
+// Shift spans found in part of a text to where that part starts
+function offsetRanges(ranges, offset) {
+  return ranges.map(([start, end, ...group]) => [start + offset, end + offset, ...group]);
+}
+
+// Full path or any single segment, like a plain search term always matched
+function termMatchesPath(term, mount, path, options) {
+  const fullPath = `${mount}${path}`;
+  if (term.glob) return term.glob.test(path) || term.glob.test(fullPath);
+  return !!termQuality(term, fullPath, options) ||
+    fullPath.split('/').filter(Boolean).some(seg => termQuality(term, seg, options));
+}
+
+// Where a term matches a path: [{ text, ranges, score, reason }]; the leaf segment ranks above the rest
+function explainPathTerm(term, mount, path, options) {
+  const fullPath = `${mount}${path}`;
+  const segments = fullPath.split('/').filter(Boolean);
+  const depth = path.split('/').filter(Boolean).length - 1;
+  const hits = [];
+  const consider = (text, quality, location, ranges) => {
+    if (quality) hits.push({ text, ranges: ranges || termRanges(term, text, options), score: scoreMatch(quality, location, depth), reason: describeMatch(quality, location) });
+  };
+
+  if (term.glob) {
+    // A glob may match the path below the mount only
+    const ranges = term.glob.test(fullPath) ? [[0, fullPath.length]] : [[mount.length, fullPath.length]];
+    if (termMatchesPath(term, mount, path, options)) consider(fullPath, { type: 'prefix', similarity: 1 }, 'path', ranges);
+    return hits;
+  }
+
+  const leaf = segments[segments.length - 1];
+  consider(leaf, termQuality(term, leaf, options), 'leaf');
+  segments.slice(0, -1).forEach(seg => consider(seg, termQuality(term, seg, options), 'path'));
+  // Only worth listing when the term spans a slash
+  if (!hits.length) consider(fullPath, termQuality(term, fullPath, options), 'path');
+  return hits;
+}
+
+function termMatchesMount(term, mount, options) {
+  if (term.regex) return term.regex.test(mount);
+  const fold = s => (options.caseInsensitive ? s.toLowerCase() : s);
+  if (term.quoted) return fold(mount).replace(/\/$/, '') === fold(term.text).replace(/\/$/, '');
+  return fold(mount).startsWith(fold(term.text));
+}
+
+// Key and value hits for one term: [{ jsonPath, value, on: 'key' | 'value', ranges, score, reason }].
+// Key spans are within the JSON path, value spans within the value as a string.
+function collectDataMatches(term, data, options, maxDepth, matches) {
+  const wantKeys = term.field === 'key' || term.field === 'any';
+  const wantValues = term.field === 'value' || term.field === 'any';
+  const seen = new Set(matches.map(m => m.jsonPath));
+  const add = (jsonPath, value, on, text, quality, depth) => {
+    if (!quality) return;
+    const ranges = offsetRanges(termRanges(term, text, options), on === 'key' ? jsonPath.length - text.length : 0);
+    if (seen.has(jsonPath)) {
+      // Another term hit the same key or value first; highlight this one's spans too
+      matches.find(m => m.jsonPath === jsonPath && m.on === on)?.ranges?.push(...ranges);
+      return;
+    }
+    seen.add(jsonPath);
+    matches.push({ jsonPath, value, on, ranges, score: scoreMatch(quality, on, depth), reason: describeMatch(quality, on) });
+  };
+
+  function visit(value, jsonPath, depth) {
+    if (depth > maxDepth) return;
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${jsonPath}[${i}]`, depth + 1));
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = jsonPath ? `${jsonPath}.${key}` : key;
+        if (wantKeys) add(childPath, child, 'key', key, termQuality(term, key, options), depth);
+        visit(child, childPath, depth + 1);
+      }
+    } else if (wantValues) {
+      add(jsonPath, value, 'value', String(value), termQuality(term, String(value), options), Math.max(depth - 1, 0));
+    }
+  }
+
+  visit(data, '', 0);
+  return matches;
+}
+
+// Three-valued evaluation: true, false, or null when a fact it needs is not known yet.
+// facts: { mount, kv2, engine, path, data, metadata }; pathOnly makes plain terms look at the path alone,
+// which only suits choosing what to read: a plain term may still be in data that isn't read yet.
+// KV facts carry kv2 and may leave engine out.
+function evaluateQueryNode(node, facts, options, pathOnly = false) {
+  switch (node.op) {
+    case 'and': {
+      let result = true;
+      for (const item of node.items) {
+        const value = evaluateQueryNode(item, facts, options, pathOnly);
+        if (value === false) return false;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'or': {
+      let result = false;
+      for (const item of node.items) {
+        const value = evaluateQueryNode(item, facts, options, pathOnly);
+        if (value === true) return true;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'not': {
+      const value = evaluateQueryNode(node.item, facts, options, pathOnly);
+      return value === null ? null : !value;
+    }
+  }
+
+  const { mount, kv2, path, data, metadata } = facts;
+  const engine = facts.engine || (kv2 === undefined ? undefined : 'kv');
+  if (METADATA_FIELDS.includes(node.field)) {
+    // undefined: not fetched yet; null: KV1 or unreadable, so no metadata to match
+    if (metadata === undefined) return kv2 === false ? false : null;
+    if (metadata === null) return false;
+    if (node.field === 'meta') return collectMetadataMatches(node, metadata, options, []).length > 0;
+    return inQueryRange(node.range, metadataRangeValue(node.field, metadata));
+  }
+
+  switch (node.field) {
+    case 'mount':
+      return mount === undefined ? null : termMatchesMount(node, mount, options);
+    case 'kv':
+      if (engine && engine !== 'kv') return false;
+      return kv2 === undefined ? null : (kv2 ? '2' : '1') === node.text;
+    case 'engine':
+      return engine === undefined ? null : engine === node.text;
+    case 'path':
+      return path === undefined ? null : termMatchesPath(node, mount, path, options);
+    case 'key':
+    case 'value':
+      return data === undefined ? null : collectDataMatches(node, data, options, Infinity, []).length > 0;
+    default: {
+      if (path !== undefined && termMatchesPath(node, mount, path, options)) return true;
+      if (pathOnly && path !== undefined) return false;
+      const inData = data === undefined ? null : collectDataMatches(node, data, options, Infinity, []).length > 0;
+      if (inData || !options.searchMetadata || kv2 === false) return inData;
+      const inMetadata = metadata === undefined ? null : metadata !== null && collectMetadataMatches(node, metadata, options, []).length > 0;
+      if (inMetadata) return true;
+      return inData === null || inMetadata === null ? null : false;
+    }
+  }
+}
+
+// Terms of the given fields that aren't under a negation; they report and rank hits
+function positiveTerms(node, fields, negated = false, terms = []) {
+  if (node.op === 'not') return positiveTerms(node.item, fields, !negated, terms);
+  if (node.items) node.items.forEach(item => positiveTerms(item, fields, negated, terms));
+  else if (!negated && fields.includes(node.field)) terms.push(node);
+  return terms;
+}
+
+// Every term anywhere in the query, negated or not
+function queryTerms(node, terms = []) {
+  if (node.op === 'not') return queryTerms(node.item, terms);
+  if (node.items) node.items.forEach(item => queryTerms(item, terms));
+  else terms.push(node);
+  return terms;
+}
+
+// Plain mount/path filters implied by the top-level AND of a query, for pruning the walk
+function queryFilters(ast) {
+  const clauses = ast.op === 'and' ? ast.items : [ast];
+  const filters = { mountFilter: '', prefixFilter: '' };
+  for (const clause of clauses) {
+    if (clause.op !== 'term' || clause.regex || clause.quoted) continue;
+    if (clause.field === 'mount' && !filters.mountFilter) filters.mountFilter = clause.text;
+    if (clause.field === 'path' && clause.glob && !filters.prefixFilter) {
+      filters.prefixFilter = clause.text.slice(0, clause.text.search(/[*?]/));
+    }
+  }
+  return filters;
+}
+
+// A folder is worth listing while it and the filter could still lead to each other
+function prefixCompatible(prefix, filter, caseInsensitive = false) {
+  if (!filter) return true;
+  const p = caseInsensitive ? prefix.toLowerCase() : prefix;
+  const f = caseInsensitive ? filter.toLowerCase() : filter;
+  return p.startsWith(f) || f.startsWith(p);
+}
+
+// Compile a query for the search engines. Throws with a readable message on bad syntax.
+function compileQuery(input, options = {}) {
+  const ast = parseQuery(input, options);
+  const { mountFilter, prefixFilter } = queryFilters(ast);
+  const dataTerms = positiveTerms(ast, ['key', 'value', 'any']);
+  const pathTerms = positiveTerms(ast, ['path', 'any']);
+  const metadataTerms = positiveTerms(ast, [...METADATA_FIELDS, ...(options.searchMetadata ? ['any'] : [])]);
+  const allTerms = queryTerms(ast);
+
+  return {
+    source: String(input).trim(),
+    ast,
+    mountFilter,
+    prefixFilter,
+    // Whether secrets must be fetched from metadata/ (KV2) or data/ to decide a match
+    needsMetadata: allTerms.some(t => METADATA_FIELDS.includes(t.field) || (options.searchMetadata && t.field === 'any')),
+    needsData: allTerms.some(t => ['key', 'value', 'any'].includes(t.field)),
+
+    // false when nothing on this mount can match; engine is left out for KV mounts
+    allowsMount(mount, kv2, engine) {
+      return evaluateQueryNode(ast, { mount, kv2, engine }, options) !== false;
+    },
+
+    // false when no secret below this folder can match the query's path filter
+    allowsPrefix(mount, prefix) {
+      return prefixCompatible(prefix, prefixFilter, options.caseInsensitive) ||
+        prefixCompatible(`${mount}${prefix}`, prefixFilter, options.caseInsensitive);
+    },
+
+    // Path-phase verdict: true = path match, null = needs a deep read, false = no match.
+    // Plain terms not in the path are unknown until the data is read, so `-password` is null here.
+    matchPath(mount, kv2, path) {
+      return evaluateQueryNode(ast, { mount, kv2, path }, options);
+    },
+
+    // Deep-read scope "candidates": whether a secret is worth reading when plain terms have to
+    // match its path (key:/value: clauses still need the read); never a match by itself
+    pathCandidate(mount, kv2, path) {
+      return evaluateQueryNode(ast, { mount, kv2, path }, options, true) !== false;
+    },
+
+    // Whether reading the secret could still make it match
+    mayMatch(mount, kv2, path) {
+      return evaluateQueryNode(ast, { mount, kv2, path }, options) !== false;
+    },
+
+    // Verdict from whatever is known so far: { mount, kv2, engine, path, data, metadata }
+    evaluate(facts) {
+      return evaluateQueryNode(ast, facts, options);
+    },
+
+    // Deep verdict: null when the secret doesn't match, otherwise its key, value and
+    // metadata hits (may be empty), best first
+    matchSecret(facts, maxDepth = Infinity) {
+      if (!evaluateQueryNode(ast, facts, options)) return null;
+      const { data, metadata } = facts;
+      const matches = [];
+      if (data) dataTerms.forEach(term => collectDataMatches(term, data, options, maxDepth, matches));
+      if (metadata) {
+        for (const term of metadataTerms) {
+          if (term.range) {
+            if (inQueryRange(term.range, metadataRangeValue(term.field, metadata))) matches.push(metadataRangeEvidence(term, metadata));
+          } else {
+            collectMetadataMatches(term, metadata, options, matches);
+          }
+        }
+      }
+      return matches.sort((a, b) => b.score - a.score);
+    },
+
+    // Spans of the query's terms in the values at some JSON paths of freshly read data, for an
+    // explicit reveal: { 'db.password': [[0, 4]] }. Results don't keep them (results.js).
+    valueRanges(data, jsonPaths) {
+      const wanted = new Set(jsonPaths);
+      const ranges = {};
+      for (const term of dataTerms) {
+        for (const hit of collectDataMatches(term, data, options, Infinity, [])) {
+          if (hit.on === 'value' && wanted.has(hit.jsonPath)) ranges[hit.jsonPath] = [...(ranges[hit.jsonPath] || []), ...hit.ranges];
+        }
+      }
+      return ranges;
+    },
+
+    // Path segments the query's terms matched, best first: [{ text, ranges, score, reason }];
+    // ranges of every term that matched a segment are kept
+    explainPath(mount, path) {
+      const best = new Map();
+      for (const term of pathTerms) {
+        for (const hit of explainPathTerm(term, mount, path, options)) {
+          const known = best.get(hit.text);
+          if (!known) best.set(hit.text, hit);
+          else best.set(hit.text, { ...(hit.score > known.score ? hit : known), ranges: [...known.ranges, ...hit.ranges] });
+        }
+      }
+      return [...best.values()].sort((a, b) => b.score - a.score);
+    }
+  };
+}
+
+// Returns an error message for a query that can't be compiled, or null
+function validateQuery(input, options = {}) {
+  try {
+    parseQuery(input, options);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
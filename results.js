@@ -0,0 +1,175 @@
+/**
+ * Vault Secret Search - Search Results
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: One result object per secret (or folder) listing every reason it matched.
+ *              Built by both search engines; the popup and the overlay render the same shape:
+ *
+ *   {
+ *     path: 'secret/apps/db', mount: 'secret/', secretPath: 'apps/db',
+ *     kv2: true, kvVersion: 2, isDirectory: false, url,
+ *     engine: 'kv', itemKind: 'secret',                     other engines: e.g. 'transit' / 'key', kvVersion null
+ *     namespace: 'admin/team-a', namespaceLabel: 'team-a',  child namespaces prefix the path: 'team-a/secret/apps/db'
+ *     version: null, versionCreatedTime: null,              set for older versions; path is then 'secret/apps/db@v3'
+ *     pathMatches:     [{ text, ranges, reason, score }],            path segments (or the whole path)
+ *     keyMatches:      [{ jsonPath, value, ranges, reason, score }],  key names; value is MASKED_VALUE
+ *     valueMatches:    [{ jsonPath, value, ranges, reason, score }],  values; value is MASKED_VALUE and ranges [], see readMatchValues()
+ *     metadataMatches: [{ jsonPath, value, reason, score }],  KV2 custom_metadata, time and version clauses
+ *     metadata: { created_time, updated_time, current_version, delete_version_after } | null,
+ *     capabilities: ['read', 'list'] | null,                token's read/update/delete/list, null if unchecked
+ *     findings:        [{ rule, severity, score, jsonPath, message }],  audit mode, see audit.js
+ *     score, scoreReason                                      best of all of the above
+ *   }
+ *
+ * ranges are the matched spans, [[start, end]] or [start, end, 1] for a regex capture group
+ * (matchRanges() in matching.js): within text for paths and the JSON path for keys. Value spans
+ * would give away the shape of the secret, so they are only worked out again on a reveal
+ * (valueRanges() in query.js).
+ */
+
+const MAX_MATCHES_PER_KIND = 20; // Keeps checkpoints and port messages small
+const MATCH_PREVIEW_LENGTH = 100;
+const MASKED_VALUE = '••••••••'; // Stored and sent instead of secret values; the same for every value
+const DEFAULT_HISTORY_VERSIONS = 10; // Versions read per secret in history mode, newest first
+const MAX_HISTORY_VERSIONS = 100;
+
+function createSearchResult({
+  mount, secretPath, kv2, isDirectory = false, url, version = null, versionCreatedTime = null,
+  engine = 'kv', itemKind = isDirectory ? 'folder' : 'secret', namespace = '', namespaceLabel = ''
+}) {
+  const fullPath = `${namespaceLabel ? `${namespaceLabel}/` : ''}${mount}${secretPath}`;
+  return {
+    path: version ? `${fullPath}@v${version}` : fullPath,
+    mount,
+    secretPath,
+    kv2: !!kv2,
+    kvVersion: engine === 'kv' ? (kv2 ? 2 : 1) : null,
+    isDirectory,
+    url,
+    engine,
+    itemKind,
+    namespace,
+    namespaceLabel,
+    version,
+    versionCreatedTime,
+    pathMatches: [],
+    keyMatches: [],
+    valueMatches: [],
+    metadataMatches: [],
+    metadata: null,
+    capabilities: null,
+    findings: [],
+    score: 0,
+    scoreReason: 'filter match'
+  };
+}
+
+// Path reasons from query.explainPath()
+function setPathMatches(result, pathMatches) {
+  result.pathMatches = pathMatches.slice(0, MAX_MATCHES_PER_KIND);
+  rescoreSearchResult(result);
+}
+
+// Key, value and metadata reasons from query.matchSecret(). Replaces earlier ones, so reading a secret twice is harmless.
+// Secret values are masked here, and where in them the match was dropped, so neither reaches
+// checkpoints, ports or the screen unasked; custom metadata isn't secret and keeps its preview.
+function setDataMatches(result, matches) {
+  const toReason = ({ jsonPath, value, on, ranges = [], reason, score }) => ({
+    jsonPath,
+    value: on === 'metadata' ? previewMatchValue(value) : MASKED_VALUE,
+    ranges: on === 'value' ? [] : ranges,
+    reason,
+    score
+  });
+  const ofKind = on => matches.filter(m => m.on === on).slice(0, MAX_MATCHES_PER_KIND).map(toReason);
+  result.keyMatches = ofKind('key');
+  result.valueMatches = ofKind('value');
+  result.metadataMatches = ofKind('metadata');
+  rescoreSearchResult(result);
+}
+
+// Keep the timestamps and versions of a KV2 metadata response (not the per-version list)
+function setResultMetadata(result, metadata) {
+  if (!metadata) return;
+  const { created_time, updated_time, current_version, delete_version_after } = metadata;
+  result.metadata = { created_time, updated_time, current_version, delete_version_after };
+}
+
+// Capabilities from grantedCapabilities() (capabilities.js); unknown ones keep what is known
+function setResultCapabilities(result, capabilities) {
+  if (capabilities) result.capabilities = capabilities;
+}
+
+// Audit findings from auditSecret() (audit.js); the worst one scores the result
+function setAuditFindings(result, findings) {
+  result.findings = findings.slice(0, MAX_MATCHES_PER_KIND);
+  rescoreSearchResult(result);
+}
+
+// Readable versions from a KV2 metadata response, newest first, at most `limit`.
+// Destroyed and soft-deleted versions have no data left to read.
+function readableSecretVersions(metadata, limit = DEFAULT_HISTORY_VERSIONS) {
+  return Object.entries(metadata?.versions || {})
+    .filter(([, v]) => !v.destroyed && !v.deletion_time)
+    .map(([version, v]) => ({ version: Number(version), createdTime: v.created_time }))
+    .sort((a, b) => b.version - a.version)
+    .slice(0, limit);
+}
+
+// String form of a matched value; objects (under a matched key) become JSON
+function matchValueText(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Short string form of a matched value, for the screen
+function previewMatchValue(value) {
+  return matchValueText(value).substring(0, MATCH_PREVIEW_LENGTH);
+}
+
+// Values at some JSON paths of freshly read secret data, for an explicit reveal:
+// { 'db.password': 'hunter2' }. Previews unless `full` (exports want whole certificates and
+// tokens). Paths that no longer exist are left out.
+function readMatchValues(data, jsonPaths, { full = false } = {}) {
+  const wanted = new Set(jsonPaths);
+  const values = {};
+  (function visit(value, jsonPath) {
+    if (wanted.has(jsonPath)) values[jsonPath] = full ? matchValueText(value) : previewMatchValue(value);
+    if (value === null || typeof value !== 'object') return;
+    for (const [key, child] of Object.entries(value)) {
+      visit(child, Array.isArray(value) ? `${jsonPath}[${key}]` : (jsonPath ? `${jsonPath}.${key}` : key));
+    }
+  })(data, '');
+  return values;
+}
+
+// Text as DOM nodes with its matched ranges in <mark>, capture groups in <mark class="group">.
+// Only ever sets textContent, so Vault-controlled text can't inject markup. Ranges past the
+// end (of a shortened preview) are cut off.
+function highlightedText(text, ranges = []) {
+  const fragment = document.createDocumentFragment();
+  const levels = new Uint8Array(text.length); // 0 plain, 1 match, 2 group
+  for (const [start, end, group] of ranges) {
+    for (let i = Math.max(start, 0); i < Math.min(end, text.length); i++) levels[i] = Math.max(levels[i], group ? 2 : 1);
+  }
+  for (let start = 0, end; start < text.length; start = end) {
+    for (end = start + 1; end < text.length && levels[end] === levels[start];) end++;
+    const piece = text.slice(start, end);
+    if (!levels[start]) {
+      fragment.append(piece);
+      continue;
+    }
+    const mark = document.createElement('mark');
+    if (levels[start] === 2) mark.className = 'group';
+    mark.textContent = piece;
+    fragment.appendChild(mark);
+  }
+  return fragment;
+}
+
+function rescoreSearchResult(result) {
+  const findings = result.findings.map(({ score, message }) => ({ score, reason: message }));
+  const best = [...result.pathMatches, ...result.keyMatches, ...result.valueMatches, ...result.metadataMatches, ...findings]
+    .reduce((top, m) => (m.score > top.score ? m : top), { score: 0, reason: 'filter match' });
+  result.score = best.score;
+  result.scoreReason = best.reason;
+}
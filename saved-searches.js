@@ -0,0 +1,116 @@
+/**
+ * Vault Secret Search - Saved Searches
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Recent searches and named saved searches in chrome.storage.local, shared by the
+ *              service worker, the popup and the overlay. Entries keep the query, never results:
+ *
+ *   {
+ *     term: 'path:prod/* key:password', options: { mode, caseInsensitive, searchMetadata, ... },
+ *     filters: { mountFilter, prefixFilter },   overlay filter fields ('' from the popup)
+ *     vaultUrl, namespace, source: 'popup' | 'overlay', at, resultCount,
+ *     name, watch                               saved searches only, watch null unless watched:
+ *       { intervalMinutes, lastRunAt, paths, added, removed, error }
+ *   }
+ *
+ * The service worker runs watched searches on an alarm each and keeps the matched paths of the
+ * last run (null before the first) with what was added and removed since the run before.
+ */
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const SAVED_SEARCHES_KEY = 'savedSearches';
+const MAX_RECENT_SEARCHES = 50;
+const MAX_SAVED_SEARCHES = 100;
+const WATCH_ALARM_PREFIX = 'watch:'; // Alarm and notification IDs, followed by the search name
+const WATCH_INTERVALS = [15, 60, 360, 1440]; // Minutes offered for watches
+
+function createSearchEntry({ term, options = {}, filters = {}, vaultUrl = '', namespace = '', source = 'popup', resultCount = null }) {
+  return {
+    term,
+    options: { ...options },
+    filters: { mountFilter: filters.mountFilter || '', prefixFilter: filters.prefixFilter || '' },
+    vaultUrl: vaultUrl || '',
+    namespace: namespace || '',
+    source,
+    at: Date.now(),
+    resultCount
+  };
+}
+
+// Two entries are the same search when everything but the time and the result count matches
+function sameSearch(a, b) {
+  const key = ({ term, options, filters, vaultUrl, namespace }) => JSON.stringify([term, options, filters, vaultUrl, namespace]);
+  return key(a) === key(b);
+}
+
+async function getRecentSearches() {
+  const stored = await chrome.storage.local.get(RECENT_SEARCHES_KEY);
+  return stored[RECENT_SEARCHES_KEY] || [];
+}
+
+// Newest first; running a search again moves it to the top
+async function recordRecentSearch(entry) {
+  const recent = (await getRecentSearches()).filter(e => !sameSearch(e, entry));
+  recent.unshift(entry);
+  await chrome.storage.local.set({ [RECENT_SEARCHES_KEY]: recent.slice(0, MAX_RECENT_SEARCHES) });
+}
+
+async function clearRecentSearches() {
+  await chrome.storage.local.remove(RECENT_SEARCHES_KEY);
+}
+
+// Sorted by name
+async function getSavedSearches() {
+  const stored = await chrome.storage.local.get(SAVED_SEARCHES_KEY);
+  return stored[SAVED_SEARCHES_KEY] || [];
+}
+
+// Saving under an existing name replaces that search; a watch on it carries on from scratch
+async function saveNamedSearch(name, entry) {
+  const all = await getSavedSearches();
+  const previous = all.find(e => e.name === name);
+  const saved = all.filter(e => e !== previous);
+  if (saved.length >= MAX_SAVED_SEARCHES) throw new Error(`At most ${MAX_SAVED_SEARCHES} saved searches`);
+  saved.push({ ...entry, name, resultCount: null, watch: previous?.watch ? createWatch(previous.watch.intervalMinutes) : null });
+  saved.sort((a, b) => a.name.localeCompare(b.name));
+  await chrome.storage.local.set({ [SAVED_SEARCHES_KEY]: saved });
+}
+
+async function deleteSavedSearch(name) {
+  const saved = (await getSavedSearches()).filter(e => e.name !== name);
+  await chrome.storage.local.set({ [SAVED_SEARCHES_KEY]: saved });
+}
+
+// Replace a saved search with update(entry); null when it no longer exists
+async function updateSavedSearch(name, update) {
+  const saved = await getSavedSearches();
+  const index = saved.findIndex(e => e.name === name);
+  if (index === -1) return null;
+  saved[index] = update(saved[index]);
+  await chrome.storage.local.set({ [SAVED_SEARCHES_KEY]: saved });
+  return saved[index];
+}
+
+function createWatch(intervalMinutes) {
+  return { intervalMinutes, lastRunAt: null, paths: null, added: [], removed: [], error: null };
+}
+
+// Watch a saved search every `intervalMinutes`, or stop watching it (0). Changing the interval
+// keeps the last run to compare with.
+async function setSavedSearchWatch(name, intervalMinutes) {
+  return updateSavedSearch(name, entry => ({
+    ...entry,
+    watch: intervalMinutes > 0 ? { ...(entry.watch || createWatch()), intervalMinutes } : null
+  }));
+}
+
+// The entry's query with its filter fields folded in as mount:/path: clauses, for the popup,
+// which has no filter fields (query.js turns them back into the same walk filters)
+function searchEntryQuery(entry) {
+  const { mountFilter, prefixFilter } = entry.filters || {};
+  return [
+    mountFilter ? `mount:${mountFilter}` : '',
+    prefixFilter ? `path:${prefixFilter}*` : '',
+    entry.term
+  ].filter(Boolean).join(' ');
+}
@@ -0,0 +1,142 @@
+/**
+ * Vault Secret Search - Request Scheduler
+ * Author: Sandesh Sachdev
+ * Version: 2.3.0
+ * Description: Paces the Vault calls of one search for both search engines: a cap on requests
+ *              per second that halves on 429/503 and recovers gradually, retries honouring
+ *              Retry-After, bounded retries of timed-out requests, and an optional budget of
+ *              requests or seconds after which the search stops with what it found.
+ */
+
+const DEFAULT_REQUESTS_PER_SECOND = 50;
+const MAX_REQUESTS_PER_SECOND = 1000; // 0 means no cap until Vault pushes back
+const MIN_REQUESTS_PER_SECOND = 1;
+const DEFAULT_REQUEST_TIMEOUT = 15000;
+const THROTTLE_RETRIES = 5; // Per request, on 429 and 503
+const TIMEOUT_RETRIES = 2;
+const BACKOFF_BASE = 500; // ms, doubled per retry
+const BACKOFF_MAX = 30000;
+const RETRY_AFTER_MAX = 60000; // Longer Retry-After values are cut to this
+
+// Wait that ends early when any of the signals aborts
+function schedulerDelay(ms, signals) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signals.forEach(signal => signal?.removeEventListener('abort', done));
+      resolve();
+    }
+    signals.forEach(signal => signal?.addEventListener('abort', done));
+  });
+}
+
+// Retry-After in ms (seconds or an HTTP date), or null when absent or unreadable
+function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - now;
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), RETRY_AFTER_MAX) : null;
+}
+
+// Exponential backoff with jitter for the n-th retry (1-based)
+function backoffMs(retry) {
+  const ms = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** (retry - 1));
+  return ms / 2 + Math.random() * ms / 2;
+}
+
+// fetch() replacement for one search. A spent budget calls onExhausted('requests' | 'time')
+// once and fails every request from then on; onRequest and onRetry feed the progress counters.
+// `sent` and `startedAt` carry a resumed search's usage over.
+function createRequestScheduler({
+  maxPerSecond = DEFAULT_REQUESTS_PER_SECOND, maxRequests = 0, maxSeconds = 0,
+  sent = 0, startedAt = Date.now(), onRequest, onRetry, onExhausted
+} = {}) {
+  const ceiling = maxPerSecond > 0 ? maxPerSecond : Infinity;
+  let rate = ceiling;
+  let nextStart = 0; // No request starts before this
+  let exhausted = null;
+  const halt = new AbortController(); // Wakes every waiting request once the budget is spent
+  const deadline = maxSeconds > 0 ? startedAt + maxSeconds * 1000 : Infinity;
+
+  // Reserve the next start time at the current rate and wait for it (or the time budget's end)
+  async function turn(signal) {
+    const now = Date.now();
+    const at = Math.max(now, nextStart);
+    nextStart = at + (Number.isFinite(rate) ? 1000 / rate : 0);
+    if (at > now) await schedulerDelay(Math.min(at, deadline) - now, [signal, halt.signal]);
+  }
+
+  // Vault pushed back: halve the rate and hold every request for a while
+  function slowDown(pause) {
+    rate = Math.max(MIN_REQUESTS_PER_SECOND, (Number.isFinite(rate) ? rate : DEFAULT_REQUESTS_PER_SECOND) / 2);
+    nextStart = Math.max(nextStart, Date.now() + pause);
+  }
+
+  // One more request per second after each success, back up to the cap
+  function speedUp() {
+    if (rate >= ceiling) return;
+    rate += 1;
+    if (rate >= Math.min(ceiling, MAX_REQUESTS_PER_SECOND)) rate = ceiling;
+  }
+
+  function checkBudget() {
+    if (!exhausted) {
+      if (maxRequests > 0 && sent >= maxRequests) exhausted = 'requests';
+      else if (maxSeconds > 0 && Date.now() - startedAt >= maxSeconds * 1000) exhausted = 'time';
+      if (exhausted) {
+        halt.abort();
+        onExhausted?.(exhausted);
+      }
+    }
+    if (exhausted) throw new Error(`Search ${exhausted === 'time' ? 'time' : 'request'} budget used up`);
+  }
+
+  return {
+    get exhausted() {
+      return exhausted;
+    },
+
+    async fetch(url, init = {}, { timeoutMs = DEFAULT_REQUEST_TIMEOUT } = {}) {
+      const signal = init.signal;
+      let throttled = 0;
+      let timeouts = 0;
+
+      for (;;) {
+        checkBudget();
+        await turn(signal);
+        if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        checkBudget();
+        sent++;
+        onRequest?.();
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+        signal?.addEventListener('abort', abort);
+        let response;
+        try {
+          response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+          if (!timedOut || signal?.aborted) throw error;
+          if (++timeouts > TIMEOUT_RETRIES) throw new Error(`Timed out after ${TIMEOUT_RETRIES + 1} tries: ${url}`);
+          onRetry?.('timeout');
+          continue;
+        } finally {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', abort);
+        }
+
+        if ((response.status === 429 || response.status === 503) && throttled < THROTTLE_RETRIES) {
+          throttled++;
+          slowDown(retryAfterMs(response.headers?.get('Retry-After')) ?? backoffMs(throttled));
+          onRetry?.(response.status);
+          continue;
+        }
+        speedUp();
+        return response;
+      }
+    }
+  };
+}